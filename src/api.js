@@ -0,0 +1,83 @@
+const axios = require("axios");
+const config = require("./config");
+const { getCollections } = require("./db");
+const { throttle } = require("./utils");
+const { retryWithPolicy, apiBreaker, CIRCUIT_OPEN } = require("./retryPolicy");
+const { SYNC_STOPPED } = require("./shutdown");
+const { AUTH_REQUIRED, installSession, withSession } = require("./auth");
+const { recordRequest, recordFailure } = require("./metrics");
+
+const buildDefaultHeaders = () => {
+    const headers = {
+        Accept: "application/json, text/plain, */*",
+        "User-Agent": config.apiUserAgent
+    };
+    if (config.apiReferer) headers.Referer = config.apiReferer;
+    return headers;
+};
+
+let axiosInstance;
+
+const getAxiosInstance = () => {
+    if (axiosInstance) return axiosInstance;
+    // Cookie and CSRF headers come from the session so Set-Cookie refreshes apply to later requests.
+    axiosInstance = installSession(
+        axios.create({
+            timeout: config.requestTimeoutMs,
+            headers: buildDefaultHeaders()
+        })
+    );
+    return axiosInstance;
+};
+
+const requestWithRetry = async (requestFn, context, { recordError = true } = {}) => {
+    try {
+        return await withSession(() =>
+            retryWithPolicy(
+                async () => {
+                    await throttle();
+                    const startedAt = Date.now();
+                    try {
+                        const result = await requestFn();
+                        recordRequest(context.type, 200, Date.now() - startedAt);
+                        return result;
+                    } catch (error) {
+                        recordRequest(context.type, error.response?.status, Date.now() - startedAt);
+                        throw error;
+                    }
+                },
+                { breaker: apiBreaker }
+            )
+        );
+    } catch (lastError) {
+        recordFailure(context.type);
+        if (
+            !recordError ||
+            lastError.code === CIRCUIT_OPEN ||
+            lastError.code === SYNC_STOPPED ||
+            lastError.code === AUTH_REQUIRED
+        ) {
+            throw lastError;
+        }
+        const message = lastError?.message || "Unknown error";
+        const status = lastError?.response?.status || null;
+        const data = lastError?.response?.data || null;
+        const { errorCollection } = await getCollections();
+        await errorCollection.insertOne({
+            ...context,
+            status,
+            message,
+            data,
+            headers: lastError?.response?.headers || null,
+            attempts: lastError?.attempts ?? null,
+            retryable: lastError?.retryable ?? null,
+            createdAt: new Date()
+        });
+        throw lastError;
+    }
+};
+
+module.exports = {
+    getAxiosInstance,
+    requestWithRetry
+};
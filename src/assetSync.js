@@ -1,19 +1,33 @@
 const path = require("path");
 const crypto = require("crypto");
 const fs = require("fs");
+const { AsyncLocalStorage } = require("async_hooks");
 const config = require("./config");
-const { downloadToFile, uploadToS3, headUrl } = require("./storage");
+const { getCollections } = require("./db");
+const {
+    getStorage,
+    downloadAsset,
+    headUrl,
+    hashFile,
+    moveFile
+} = require("./storage");
+const { recordAsset } = require("./metrics");
+const { createLogger } = require("./logger");
+const { SYNC_STOPPED } = require("./shutdown");
+const { CIRCUIT_OPEN } = require("./retryPolicy");
+const {
+    contextFromExtension,
+    isFileLink,
+    findAssetReferences,
+    rewriteReferences
+} = require("./assetUrls");
 
 const PROJECT_BASED_TYPES = new Set(["PBT", "PBD", "PFE", "PFS"]);
 
-const log = (message, meta = null) => {
-    const stamp = new Date().toISOString();
-    if (meta) {
-        process.stdout.write(`[${stamp}] ${message} ${JSON.stringify(meta)}\n`);
-        return;
-    }
-    process.stdout.write(`[${stamp}] ${message}\n`);
-};
+const logger = createLogger("assets");
+
+// Set while planning: mirrorUrl reports what it would do instead of downloading or writing anything.
+const planContext = new AsyncLocalStorage();
 
 const normalizeUrl = (url) => {
     if (!url) return url;
@@ -51,15 +65,6 @@ const isSafeUrl = (url) => {
     return true;
 };
 
-const extractKeyFromUrl = (url) => {
-    try {
-        const parsed = new URL(normalizeUrl(url));
-        return parsed.pathname.replace(/^\/+/, "");
-    } catch (_error) {
-        return null;
-    }
-};
-
 const getExtensionFromUrl = (url) => {
     try {
         const parsed = new URL(normalizeUrl(url));
@@ -70,13 +75,102 @@ const getExtensionFromUrl = (url) => {
     }
 };
 
-const buildNewKey = (url, slug, problemType) => {
+const buildContentKey = (hash, url) => {
     const ext = getExtensionFromUrl(url);
-    const id = crypto.randomUUID();
     const prefix = config.assetKeyPrefix || "assets";
-    const safeSlug = slug || "unknown";
-    const safeType = problemType || "unknown";
-    return `${prefix}/${safeType}/${safeSlug}/${id}${ext}`;
+    return `${prefix}/sha256/${hash.slice(0, 2)}/${hash}${ext}`;
+};
+
+const getTempDir = () => path.join(config.assetDownloadDir, ".tmp");
+
+const buildTempPath = (url) =>
+    path.join(getTempDir(), `${crypto.randomUUID()}${getExtensionFromUrl(url)}`);
+
+// Downloads interrupted by a forced shutdown leave partial files behind.
+const clearTempFiles = async () => {
+    await fs.promises.rm(getTempDir(), { recursive: true, force: true });
+};
+
+const findKnownAsset = async (normalizedUrl) => {
+    if (config.assetOverwrite) return null;
+    const { assetCollection } = await getCollections();
+    const asset = await assetCollection.findOne({ sourceUrls: normalizedUrl });
+    if (!asset) return null;
+    if (config.storageEnabled && !asset.s3Url) return null;
+    return asset;
+};
+
+const findAssetByHash = async (hash) => {
+    if (config.assetOverwrite) return null;
+    const { assetCollection } = await getCollections();
+    const asset = await assetCollection.findOne({ hash });
+    if (!asset) return null;
+    if (config.storageEnabled && !asset.s3Url) return null;
+    return asset;
+};
+
+const touchAsset = async (hash, sourceUrl, slug) => {
+    const { assetCollection } = await getCollections();
+    await assetCollection.updateOne(
+        { hash },
+        {
+            $set: { lastSeenAt: new Date() },
+            $addToSet: { sourceUrls: sourceUrl, slugs: slug || "unknown" }
+        }
+    );
+};
+
+const saveAsset = async ({
+    hash,
+    key,
+    localPath,
+    s3Url,
+    status,
+    sourceUrl,
+    slug,
+    size,
+    contentType,
+    etag,
+    lastModified
+}) => {
+    const { assetCollection } = await getCollections();
+    const now = new Date();
+    const update = {
+        $set: {
+            key,
+            localPath,
+            s3Url,
+            status,
+            size,
+            contentType,
+            etag,
+            lastModified,
+            lastSeenAt: now
+        },
+        $setOnInsert: { firstSeenAt: now },
+        $addToSet: { sourceUrls: sourceUrl, slugs: slug || "unknown" }
+    };
+    try {
+        await assetCollection.updateOne({ hash }, update, { upsert: true });
+    } catch (error) {
+        // Another worker inserted the same content first; the retry matches its document.
+        if (error?.code !== 11000) throw error;
+        await assetCollection.updateOne({ hash }, update);
+    }
+};
+
+const reuseAsset = async (asset, record, normalizedUrl, slug) => {
+    await touchAsset(asset.hash, normalizedUrl, slug);
+    logger.debug("Asset reused.", { sourceUrl: normalizedUrl, key: asset.key });
+    record.key = asset.key;
+    record.hash = asset.hash;
+    record.localPath = asset.localPath || null;
+    record.s3Url = asset.s3Url || null;
+    record.size = asset.size ?? null;
+    record.contentType = asset.contentType || null;
+    record.status = asset.status;
+    record.reused = true;
+    return { record, resultUrl: asset.s3Url || record.sourceUrl };
 };
 
 const addAssetLog = (detailData, record) => {
@@ -96,10 +190,20 @@ const addAssetLog = (detailData, record) => {
     if (!isDuplicate) {
         files.push(record);
     }
+    if (record.status !== "failed") {
+        // A later successful mirror supersedes earlier failures of the same source.
+        detailData.extra_data.asset_sync.files = files.filter(
+            (item) =>
+                !item ||
+                item.status !== "failed" ||
+                item.kind !== record.kind ||
+                item.sourceUrl !== record.sourceUrl
+        );
+    }
     detailData.extra_data.asset_sync.lastSyncedAt = new Date().toISOString();
 };
 
-const mirrorUrl = async ({ sourceUrl, key, slug, kind, problemType }) => {
+const mirrorUrl = async ({ sourceUrl, slug, kind, context }) => {
     if (!sourceUrl || !config.assetSyncEnabled) {
         return { record: null, resultUrl: sourceUrl };
     }
@@ -108,6 +212,7 @@ const mirrorUrl = async ({ sourceUrl, key, slug, kind, problemType }) => {
     if (!isSafeUrl(normalizedUrl)) {
         const record = {
             kind,
+            context,
             slug,
             sourceUrl,
             key: null,
@@ -119,30 +224,44 @@ const mirrorUrl = async ({ sourceUrl, key, slug, kind, problemType }) => {
         };
         return { record, resultUrl: sourceUrl };
     }
-    if (config.s3BaseUrl && normalizedUrl.startsWith(config.s3BaseUrl)) {
-        return { record: null, resultUrl: sourceUrl };
-    }
-    const finalKey = buildNewKey(sourceUrl, slug, problemType);
-    if (!finalKey) {
+    if (config.storageBaseUrl && normalizedUrl.startsWith(config.storageBaseUrl)) {
         return { record: null, resultUrl: sourceUrl };
     }
 
-    const localPath = path.join(config.assetDownloadDir, finalKey);
     const record = {
         kind,
+        context,
         slug,
         sourceUrl,
-        key: finalKey,
-        localPath,
+        key: null,
+        hash: null,
+        size: null,
+        contentType: null,
+        etag: null,
+        lastModified: null,
+        localPath: null,
         s3Url: null,
         status: "skipped",
         errorMessage: null,
         errorStatus: null
     };
 
+    const knownAsset = await findKnownAsset(normalizedUrl);
+    if (planContext.getStore()) {
+        record.status = knownAsset ? "would_reuse" : "would_mirror";
+        record.key = knownAsset?.key || null;
+        record.s3Url = knownAsset?.s3Url || null;
+        return { record, resultUrl: sourceUrl };
+    }
+    if (knownAsset) {
+        return reuseAsset(knownAsset, record, normalizedUrl, slug);
+    }
+
+    const tempPath = buildTempPath(sourceUrl);
     let downloadedPath = null;
+    let download = null;
     try {
-        // log("Asset download starting.", { slug, kind, sourceUrl, key: finalKey });
+        logger.debug("Asset download starting.", { kind, sourceUrl });
         if (config.assetHeadCheckEnabled) {
             const headResult = await headUrl(normalizedUrl);
             if (!headResult.ok) {
@@ -152,26 +271,59 @@ const mirrorUrl = async ({ sourceUrl, key, slug, kind, problemType }) => {
                 return { record, resultUrl: sourceUrl };
             }
         }
-        downloadedPath = await downloadToFile(normalizedUrl, localPath);
+        if (config.assetDownloadEnabled) {
+            download = await downloadAsset(normalizedUrl, tempPath);
+            downloadedPath = download.path;
+        }
     } catch (error) {
+        // A stop or a breaker that gave up is not this asset's failure; the run pauses instead.
+        if (error?.code === SYNC_STOPPED || error?.code === CIRCUIT_OPEN) throw error;
         record.status = "failed";
         record.errorStatus = error?.response?.status || null;
+        record.errorCode = error?.code || null;
         record.errorMessage = error?.message || "Asset download failed";
-        // log("Asset download failed.", {
-        //     slug,
-        //     kind,
-        //     sourceUrl,
-        //     key: finalKey,
-        //     status: record.errorStatus,
-        //     message: record.errorMessage
-        // });
+        logger.debug("Asset download failed.", {
+            kind,
+            sourceUrl,
+            status: record.errorStatus,
+            code: record.errorCode,
+            message: record.errorMessage
+        });
+        return { record, resultUrl: sourceUrl };
+    }
+    if (!downloadedPath) {
         return { record, resultUrl: sourceUrl };
     }
 
-    if (downloadedPath && config.s3Enabled) {
+    const hash = await hashFile(downloadedPath);
+    const existingByHash = await findAssetByHash(hash);
+    if (existingByHash) {
         try {
-            // log("Asset upload starting.", { slug, kind, sourceUrl, key: finalKey });
-            const s3Url = await uploadToS3(finalKey, downloadedPath);
+            await fs.promises.unlink(downloadedPath);
+        } catch (_error) {
+            // best-effort cleanup
+        }
+        return reuseAsset(existingByHash, record, normalizedUrl, slug);
+    }
+
+    const finalKey = buildContentKey(hash, sourceUrl);
+    const localPath = path.join(config.assetDownloadDir, finalKey);
+    downloadedPath = await moveFile(downloadedPath, localPath);
+    record.key = finalKey;
+    record.hash = hash;
+    record.size = download.size;
+    record.contentType = download.contentType;
+    record.etag = download.etag;
+    record.lastModified = download.lastModified;
+    record.localPath = localPath;
+
+    if (config.storageEnabled) {
+        try {
+            logger.debug("Asset upload starting.", { kind, sourceUrl, key: finalKey });
+            const s3Url = await getStorage().upload(finalKey, downloadedPath, {
+                contentType: record.contentType,
+                sha256: hash
+            });
             record.s3Url = s3Url;
             record.status = s3Url ? "uploaded" : "downloaded";
             if (config.assetCleanupEnabled && downloadedPath) {
@@ -181,50 +333,54 @@ const mirrorUrl = async ({ sourceUrl, key, slug, kind, problemType }) => {
                     // best-effort cleanup
                 }
             }
-            // log("Asset upload done.", { slug, kind, sourceUrl, key: finalKey, status: record.status });
+            await saveAsset({ ...record, sourceUrl: normalizedUrl });
+            logger.debug("Asset upload done.", { kind, sourceUrl, key: finalKey, status: record.status });
             return { record, resultUrl: s3Url || sourceUrl };
         } catch (error) {
             record.status = "failed";
             record.errorStatus = error?.$metadata?.httpStatusCode || null;
             record.errorMessage = error?.message || "Asset upload failed";
-            // log("Asset upload failed.", {
-            //     slug,
-            //     kind,
-            //     sourceUrl,
-            //     key: finalKey,
-            //     status: record.errorStatus,
-            //     message: record.errorMessage
-            // });
+            logger.debug("Asset upload failed.", {
+                kind,
+                sourceUrl,
+                key: finalKey,
+                status: record.errorStatus,
+                message: record.errorMessage
+            });
             return { record, resultUrl: sourceUrl };
         }
     }
 
-    record.status = downloadedPath ? "downloaded" : "skipped";
-    // log("Asset download done (no upload).", { slug, kind, sourceUrl, key: finalKey, status: record.status });
+    record.status = "downloaded";
+    await saveAsset({ ...record, sourceUrl: normalizedUrl });
+    logger.debug("Asset download done (no upload).", { kind, sourceUrl, key: finalKey, status: record.status });
     return { record, resultUrl: sourceUrl };
 };
 
-const mirrorUrlCached = async ({ sourceUrl, key, slug, kind, cache, problemType }) => {
+const mirrorUrlCached = async ({ sourceUrl, slug, kind, context, cache }) => {
     const normalizedUrl = stripTrailingSizeSegments(normalizeUrl(sourceUrl));
     if (cache && cache.has(normalizedUrl)) {
         return cache.get(normalizedUrl);
     }
-    const result = await mirrorUrl({ sourceUrl: normalizedUrl, key, slug, kind, problemType });
+    const result = await mirrorUrl({
+        sourceUrl: normalizedUrl,
+        slug,
+        kind,
+        context: context || contextFromExtension(normalizedUrl)
+    });
+    if (!planContext.getStore()) recordAsset(result.record);
     if (cache) cache.set(normalizedUrl, result);
     return result;
 };
 
-const syncLocation = async (detailData, location, slug, kind, cache, problemType) => {
+const syncLocation = async (detailData, location, slug, kind, cache) => {
     if (!location || !location.s3_http_url) return;
     const sourceUrl = location.s3_http_url;
-    const key = location.object_key || extractKeyFromUrl(sourceUrl);
     const { record, resultUrl } = await mirrorUrlCached({
         sourceUrl,
-        key,
         slug,
         kind,
-        cache,
-        problemType
+        cache
     });
     if (record) addAssetLog(detailData, record);
     if (resultUrl && resultUrl !== sourceUrl) {
@@ -239,20 +395,16 @@ const syncSimpleUrlField = async (
     field,
     slug,
     kind,
-    cache,
-    problemType
+    cache
 ) => {
     if (!container || !container[field]) return;
     const sourceUrl = container[field];
     if (typeof sourceUrl !== "string" || !sourceUrl.startsWith("http")) return;
-    const key = extractKeyFromUrl(sourceUrl);
     const { record, resultUrl } = await mirrorUrlCached({
         sourceUrl,
-        key,
         slug,
         kind,
-        cache,
-        problemType
+        cache
     });
     if (record) addAssetLog(detailData, record);
     if (resultUrl && resultUrl !== sourceUrl) {
@@ -261,36 +413,47 @@ const syncSimpleUrlField = async (
     }
 };
 
-const syncHtmlImages = async (detailData, field, slug, cache, problemType) => {
-    if (!detailData[field]) return;
-    const matches = [...detailData[field].matchAll(/<img[^>]+src=["']([^"']+)["']/gi)];
-    if (!matches.length) return;
-    let updated = detailData[field];
-    for (const match of matches) {
-        const sourceUrl = match[1];
-        const key = extractKeyFromUrl(sourceUrl);
+// Page links stay pointing upstream; only links to files are worth a copy.
+const isMirrorable = (ref) => ref.context !== "link" || isFileLink(ref.url);
+
+// Mirrors each asset referenced in a text and splices mirrored URLs back at their exact positions.
+const rewriteTextAssets = async (detailData, text, slug, cache, kindFor) => {
+    const replacements = [];
+    for (const ref of findAssetReferences(text)) {
+        if (!isMirrorable(ref)) continue;
+        const kind = kindFor(ref);
         const { record, resultUrl } = await mirrorUrlCached({
-            sourceUrl,
-            key,
+            sourceUrl: ref.url,
             slug,
-            kind: "description_image",
-            cache,
-            problemType
+            kind,
+            context: ref.context,
+            cache
         });
-        if (record) addAssetLog(detailData, record);
-        if (resultUrl && resultUrl !== sourceUrl) {
-            updated = updated.replace(sourceUrl, resultUrl);
+        if (record) addAssetLog(detailData, { ...record, kind, context: ref.context });
+        if (record?.s3Url && resultUrl === record.s3Url) {
+            replacements.push({ ref, url: resultUrl });
         }
     }
-    detailData[field] = updated;
+    return replacements.length ? rewriteReferences(text, replacements) : text;
 };
 
-const syncAttachments = async (detailData, slug, cache, problemType) => {
+const syncTextAssets = async (detailData, field, slug, cache) => {
+    if (typeof detailData[field] !== "string") return;
+    detailData[field] = await rewriteTextAssets(
+        detailData,
+        detailData[field],
+        slug,
+        cache,
+        (ref) => `${field}_${ref.context}`
+    );
+};
+
+const syncAttachments = async (detailData, slug, cache) => {
     if (!Array.isArray(detailData.attachments)) return;
     for (const attachment of detailData.attachments) {
         if (!attachment || typeof attachment !== "object") continue;
         if (attachment.s3_http_url) {
-            await syncLocation(detailData, attachment, slug, "attachment", cache, problemType);
+            await syncLocation(detailData, attachment, slug, "attachment", cache);
         } else if (attachment.url) {
             await syncSimpleUrlField(
                 detailData,
@@ -298,26 +461,22 @@ const syncAttachments = async (detailData, slug, cache, problemType) => {
                 "url",
                 slug,
                 "attachment",
-                cache,
-                problemType
+                cache
             );
         }
     }
 };
 
-const syncPrivateAttachments = async (detailData, slug, cache, problemType) => {
+const syncPrivateAttachments = async (detailData, slug, cache) => {
     if (!Array.isArray(detailData.private_attachments)) return;
     for (let i = 0; i < detailData.private_attachments.length; i += 1) {
         const sourceUrl = detailData.private_attachments[i];
         if (typeof sourceUrl !== "string" || !sourceUrl.startsWith("http")) continue;
-        const key = extractKeyFromUrl(sourceUrl);
         const { record, resultUrl } = await mirrorUrlCached({
             sourceUrl,
-            key,
             slug,
             kind: "private_attachment",
-            cache,
-            problemType
+            cache
         });
         if (record) addAssetLog(detailData, record);
         if (resultUrl && resultUrl !== sourceUrl) {
@@ -326,7 +485,7 @@ const syncPrivateAttachments = async (detailData, slug, cache, problemType) => {
     }
 };
 
-const syncProjectBasedAssets = async (detailData, slug, cache, problemType) => {
+const syncProjectBasedAssets = async (detailData, slug, cache) => {
     const projectData = detailData.extra_data?.project_based_problem_data;
     if (!projectData) return;
     await syncLocation(
@@ -334,16 +493,14 @@ const syncProjectBasedAssets = async (detailData, slug, cache, problemType) => {
         projectData.problem_solution_s3_location,
         slug,
         "problem_solution",
-        cache,
-        problemType
+        cache
     );
     await syncLocation(
         detailData,
         projectData.problem_stub_s3_location,
         slug,
         "problem_stub",
-        cache,
-        problemType
+        cache
     );
     await syncSimpleUrlField(
         detailData,
@@ -351,12 +508,11 @@ const syncProjectBasedAssets = async (detailData, slug, cache, problemType) => {
         "project_template",
         slug,
         "project_template",
-        cache,
-        problemType
+        cache
     );
 };
 
-const syncUixAssets = async (detailData, slug, cache, problemType) => {
+const syncUixAssets = async (detailData, slug, cache) => {
     if (!detailData.sample_solutions) return;
     await syncSimpleUrlField(
         detailData,
@@ -364,8 +520,7 @@ const syncUixAssets = async (detailData, slug, cache, problemType) => {
         "vanillajs",
         slug,
         "sample_solution_vanillajs",
-        cache,
-        problemType
+        cache
     );
     if (detailData.stubs) {
         await syncSimpleUrlField(
@@ -374,83 +529,15 @@ const syncUixAssets = async (detailData, slug, cache, problemType) => {
             "vanillajs",
             slug,
             "stub_vanillajs",
-            cache,
-            problemType
+            cache
         );
     }
 };
 
-const isHttpUrl = (value) => typeof value === "string" && /^https?:\/\//i.test(value);
-
-const decodeHtmlEntities = (value) => {
-    if (!value || typeof value !== "string") return value;
-    return value
-        .replace(/&quot;/g, "\"")
-        .replace(/&#34;/g, "\"")
-        .replace(/&amp;/g, "&");
-};
+const replaceUrlsInText = (detailData, text, slug, cache) =>
+    rewriteTextAssets(detailData, text, slug, cache, () => "deep_scan");
 
-const sanitizeUrlCandidate = (value) => {
-    if (!value || typeof value !== "string") return null;
-    let candidate = decodeHtmlEntities(value.trim());
-    candidate = candidate.replace(/[)"'\]}>,;]+$/g, "");
-    candidate = candidate.replace(/["']+$/g, "");
-    candidate = stripTrailingSizeSegments(candidate);
-    if (!isHttpUrl(candidate)) return null;
-    return candidate;
-};
-
-const extractUrls = (text) => {
-    const decoded = decodeHtmlEntities(text);
-    if (!isHttpUrl(decoded) && !decoded.includes("http")) return [];
-    const matches = decoded.match(/https?:\/\/[^\s"'<>]+/gi);
-    if (!matches) return [];
-    const cleaned = matches
-        .map((url) => sanitizeUrlCandidate(url))
-        .filter((url) => Boolean(url));
-    return Array.from(new Set(cleaned));
-};
-
-const replaceUrlsInText = async (detailData, text, slug, cache, problemType) => {
-    let updated = text;
-    const htmlMatches = [...decodeHtmlEntities(text).matchAll(/<img[^>]+src=["']([^"']+)["']/gi)];
-    for (const match of htmlMatches) {
-        const sourceUrl = match[1];
-        const key = extractKeyFromUrl(sourceUrl);
-        const { record, resultUrl } = await mirrorUrlCached({
-            sourceUrl,
-            key,
-            slug,
-            kind: "deep_scan",
-            cache,
-            problemType
-        });
-        if (record) addAssetLog(detailData, record);
-        if (resultUrl && resultUrl !== sourceUrl) {
-            updated = updated.split(sourceUrl).join(resultUrl);
-        }
-    }
-
-    const urls = extractUrls(text);
-    for (const url of urls) {
-        const key = extractKeyFromUrl(url);
-        const { record, resultUrl } = await mirrorUrlCached({
-            sourceUrl: url,
-            key,
-            slug,
-            kind: "deep_scan",
-            cache,
-            problemType
-        });
-        if (record) addAssetLog(detailData, record);
-        if (resultUrl && resultUrl !== url) {
-            updated = updated.split(url).join(resultUrl);
-        }
-    }
-    return updated;
-};
-
-const deepScanUrls = async (detailData, slug, cache, problemType) => {
+const deepScanUrls = async (detailData, slug, cache) => {
     if (!config.assetScanAllUrls) return;
     const visited = new Set();
 
@@ -467,8 +554,7 @@ const deepScanUrls = async (detailData, slug, cache, problemType) => {
                         detailData,
                         value,
                         slug,
-                        cache,
-                        problemType
+                        cache
                     );
                 } else if (value && typeof value === "object") {
                     await walk(value);
@@ -490,8 +576,7 @@ const deepScanUrls = async (detailData, slug, cache, problemType) => {
                     detailData,
                     value,
                     slug,
-                    cache,
-                    problemType
+                    cache
                 );
             } else if (value && typeof value === "object") {
                 await walk(value);
@@ -503,22 +588,27 @@ const deepScanUrls = async (detailData, slug, cache, problemType) => {
 };
 
 const processDetailAssets = async (detailData, slug) => {
-    if (!config.assetSyncEnabled) return;
+    if (!config.assetSyncEnabled) return [];
     const cache = new Map();
     const problemType = detailData.problem_type;
     if (PROJECT_BASED_TYPES.has(problemType) || detailData.extra_data?.project_based_problem_data) {
-        await syncProjectBasedAssets(detailData, slug, cache, problemType);
-        await syncAttachments(detailData, slug, cache, problemType);
+        await syncProjectBasedAssets(detailData, slug, cache);
+        await syncAttachments(detailData, slug, cache);
     }
     if (problemType === "UIX") {
-        await syncUixAssets(detailData, slug, cache, problemType);
-        await syncAttachments(detailData, slug, cache, problemType);
+        await syncUixAssets(detailData, slug, cache);
+        await syncAttachments(detailData, slug, cache);
     }
-    await syncHtmlImages(detailData, "description", slug, cache, problemType);
-    await syncHtmlImages(detailData, "editorial", slug, cache, problemType);
-    await syncPrivateAttachments(detailData, slug, cache, problemType);
-    await deepScanUrls(detailData, slug, cache, problemType);
+    await syncTextAssets(detailData, "description", slug, cache);
+    await syncTextAssets(detailData, "editorial", slug, cache);
+    await syncPrivateAttachments(detailData, slug, cache);
+    await deepScanUrls(detailData, slug, cache);
+    return [...cache.values()].map((entry) => entry.record).filter(Boolean);
 };
 
-module.exports = { processDetailAssets };
+// Runs asset discovery on a copy of the detail; the records say what a real sync would mirror or reject.
+const planDetailAssets = (detailData, slug) =>
+    planContext.run(true, () => processDetailAssets(structuredClone(detailData), slug));
+
+module.exports = { processDetailAssets, planDetailAssets, clearTempFiles };
 
@@ -0,0 +1,222 @@
+const path = require("path");
+
+const IMAGE_EXTENSIONS = new Set([".png", ".jpg", ".jpeg", ".gif", ".webp", ".svg", ".bmp", ".ico", ".avif"]);
+const VIDEO_EXTENSIONS = new Set([".mp4", ".webm", ".mov", ".m4v", ".ogv", ".mp3", ".wav", ".ogg", ".m4a"]);
+
+// Where a URL sits decides what it is: an <img> is an image whatever its extension says.
+const TAG_ATTRIBUTES = {
+    img: { src: "image", "data-src": "image", srcset: "image", "data-srcset": "image" },
+    source: { src: "video", srcset: "image" },
+    video: { src: "video", poster: "image" },
+    audio: { src: "video" },
+    track: { src: "link" },
+    a: { href: "link" },
+    link: { href: "link" },
+    image: { href: "image", "xlink:href": "image" },
+    iframe: { src: "link" }
+};
+
+const TAG_PATTERN = /<([a-z]+)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+const ATTRIBUTE_PATTERN = /([a-z_:][-a-z0-9_:.]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/gi;
+// Inline styles often carry entity-encoded quotes: style="background: url(&quot;...&quot;)".
+const CSS_URL_PATTERN = /url\(\s*(&quot;|&#34;|&#39;|["']|)((?:(?!&quot;|&#34;|&#39;)[^"')\s])+)\1\s*\)/gi;
+const BARE_URL_PATTERN = /https?:\/\/[^\s"'<>`]+/gi;
+
+const decodeHtmlEntities = (value) => {
+    if (!value || typeof value !== "string") return value;
+    return value
+        .replace(/&quot;/g, "\"")
+        .replace(/&#34;/g, "\"")
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, "&");
+};
+
+const isHttpUrl = (value) => typeof value === "string" && /^https?:\/\//i.test(value);
+
+const contextFromExtension = (url) => {
+    let ext = "";
+    try {
+        ext = path.extname(new URL(url).pathname).toLowerCase();
+    } catch (_error) {
+        return "link";
+    }
+    if (IMAGE_EXTENSIONS.has(ext)) return "image";
+    if (VIDEO_EXTENSIONS.has(ext)) return "video";
+    if (ext === ".css") return "stylesheet";
+    return "link";
+};
+
+// Trailing punctuation belongs to the prose, except a ")" that closes a "(" inside the URL.
+const trimBareUrl = (candidate) => {
+    let url = candidate;
+    for (;;) {
+        const entity = /&(quot|#34|#39|gt|lt);?$/.exec(url);
+        if (entity) {
+            url = url.slice(0, entity.index);
+            continue;
+        }
+        const last = url.slice(-1);
+        if (/[.,;:!?'"\]}>]/.test(last)) {
+            url = url.slice(0, -1);
+            continue;
+        }
+        if (last === ")" && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+            url = url.slice(0, -1);
+            continue;
+        }
+        return url;
+    }
+};
+
+const pushReference = (refs, text, start, end, context, syntax) => {
+    const raw = text.slice(start, end);
+    const url = decodeHtmlEntities(raw.trim());
+    if (!isHttpUrl(url)) return;
+    refs.push({ url, start, end, context, syntax });
+};
+
+// srcset is "url [descriptor], url [descriptor]"; URLs may themselves contain commas.
+const parseSrcset = (refs, text, valueStart, value, context) => {
+    let index = 0;
+    while (index < value.length) {
+        while (index < value.length && /[\s,]/.test(value[index])) index += 1;
+        const urlStart = index;
+        while (index < value.length && !/\s/.test(value[index])) index += 1;
+        let urlEnd = index;
+        while (urlEnd > urlStart && value[urlEnd - 1] === ",") urlEnd -= 1;
+        if (urlEnd > urlStart) {
+            pushReference(refs, text, valueStart + urlStart, valueStart + urlEnd, context, "srcset");
+        }
+        if (urlEnd < index) continue;
+        while (index < value.length && value[index] !== ",") index += 1;
+    }
+};
+
+const findHtmlReferences = (refs, text) => {
+    for (const tag of text.matchAll(TAG_PATTERN)) {
+        const tagName = tag[1].toLowerCase();
+        const attributes = TAG_ATTRIBUTES[tagName];
+        const attributesStart = tag.index + 1 + tag[1].length;
+        const typeMatch = /\btype\s*=\s*["']?([a-z]+)\//i.exec(tag[2]);
+        const relMatch = /\brel\s*=\s*["']?([^"'\s>]+)/i.exec(tag[2]);
+        for (const attribute of tag[2].matchAll(ATTRIBUTE_PATTERN)) {
+            const name = attribute[1].toLowerCase();
+            const value = attribute[2] ?? attribute[3] ?? attribute[4];
+            const valueOffset = attribute[0].length - value.length - (attribute[4] === undefined ? 1 : 0);
+            const valueStart = attributesStart + attribute.index + valueOffset;
+            let context = attributes?.[name];
+            if (!context) continue;
+            if (tagName === "source" && name === "src" && typeMatch?.[1].toLowerCase() === "image") {
+                context = "image";
+            }
+            if (tagName === "link" && relMatch?.[1].toLowerCase() === "stylesheet") context = "stylesheet";
+            if (name.endsWith("srcset")) {
+                parseSrcset(refs, text, valueStart, value, context);
+            } else {
+                pushReference(refs, text, valueStart, valueStart + value.length, context, `${tagName}-${name}`);
+            }
+        }
+    }
+};
+
+// Covers <style> blocks and style="" attributes alike.
+const findCssReferences = (refs, text) => {
+    for (const match of text.matchAll(CSS_URL_PATTERN)) {
+        const urlStart = match.index + match[0].indexOf(match[2], 4);
+        pushReference(refs, text, urlStart, urlStart + match[2].length, "stylesheet", "css-url");
+    }
+};
+
+// Reads a Markdown link destination, allowing balanced parentheses inside it.
+const readMarkdownDestination = (text, start) => {
+    let index = start;
+    while (text[index] === " ") index += 1;
+    if (text[index] === "<") {
+        const close = text.indexOf(">", index);
+        return close === -1 ? null : { start: index + 1, end: close };
+    }
+    const urlStart = index;
+    let depth = 0;
+    while (index < text.length && !/\s/.test(text[index])) {
+        if (text[index] === "(") depth += 1;
+        if (text[index] === ")") {
+            if (depth === 0) break;
+            depth -= 1;
+        }
+        index += 1;
+    }
+    return index > urlStart ? { start: urlStart, end: index } : null;
+};
+
+const findMarkdownReferences = (refs, text) => {
+    for (const match of text.matchAll(/(!?)\[[^\]\n]*\]\(/g)) {
+        const destination = readMarkdownDestination(text, match.index + match[0].length);
+        if (!destination) continue;
+        const image = match[1] === "!";
+        pushReference(
+            refs,
+            text,
+            destination.start,
+            destination.end,
+            image ? "image" : "link",
+            image ? "markdown-image" : "markdown-link"
+        );
+    }
+};
+
+const findBareReferences = (refs, text) => {
+    for (const match of text.matchAll(BARE_URL_PATTERN)) {
+        const url = trimBareUrl(match[0]);
+        pushReference(refs, text, match.index, match.index + url.length, contextFromExtension(url), "bare");
+    }
+};
+
+const PAGE_EXTENSIONS = new Set(["", ".html", ".htm", ".php", ".asp", ".aspx", ".jsp"]);
+
+// Links are only worth mirroring when they point at a file rather than a web page.
+const isFileLink = (url) => {
+    try {
+        return !PAGE_EXTENSIONS.has(path.extname(new URL(url).pathname).toLowerCase());
+    } catch (_error) {
+        return false;
+    }
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// Structured syntaxes win over the bare-URL fallback when their ranges overlap.
+const findAssetReferences = (text) => {
+    if (!text || typeof text !== "string" || !text.includes("http")) return [];
+    const structured = [];
+    findHtmlReferences(structured, text);
+    findCssReferences(structured, text);
+    findMarkdownReferences(structured, text);
+    const bare = [];
+    findBareReferences(bare, text);
+
+    const accepted = [];
+    for (const ref of [...structured, ...bare]) {
+        if (accepted.some((existing) => overlaps(existing, ref))) continue;
+        accepted.push(ref);
+    }
+    return accepted.sort((a, b) => a.start - b.start);
+};
+
+// Replaces each reference's exact range, leaving identical URLs elsewhere in the text untouched.
+const rewriteReferences = (text, replacements) => {
+    let updated = text;
+    const ordered = [...replacements].sort((a, b) => b.ref.start - a.ref.start);
+    for (const { ref, url } of ordered) {
+        updated = `${updated.slice(0, ref.start)}${url}${updated.slice(ref.end)}`;
+    }
+    return updated;
+};
+
+module.exports = {
+    decodeHtmlEntities,
+    isHttpUrl,
+    contextFromExtension,
+    isFileLink,
+    findAssetReferences,
+    rewriteReferences
+};
@@ -0,0 +1,223 @@
+const fs = require("fs");
+const { exec } = require("child_process");
+const config = require("./config");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("auth");
+
+const AUTH_REQUIRED = "AUTH_REQUIRED";
+const AUTH_STATUSES = new Set([401, 403]);
+
+// One upstream session, so cookies are kept by name only rather than per domain/path.
+const jar = new Map();
+let csrfToken = "";
+let loaded = null;
+let provided = null;
+// Bumped whenever the jar is replaced from the provider, so a failed request can tell
+// whether it was sent with credentials that have since been swapped out.
+let generation = 0;
+let reloading = null;
+
+const parseCookieHeader = (header) =>
+    String(header || "")
+        .split(";")
+        .map((part) => part.trim())
+        .filter((part) => part.includes("="))
+        .map((part) => [part.slice(0, part.indexOf("=")).trim(), part.slice(part.indexOf("=") + 1).trim()]);
+
+// Providers return either { cookie, csrfToken } as JSON or a bare Cookie header string.
+const parseCredentials = (text, source) => {
+    const trimmed = String(text || "").trim();
+    if (!trimmed) throw new Error(`Credential provider ${source} returned nothing.`);
+    if (!trimmed.startsWith("{")) return { cookie: trimmed, csrfToken: "" };
+    let parsed;
+    try {
+        parsed = JSON.parse(trimmed);
+    } catch (error) {
+        throw new Error(`Credential provider ${source} returned invalid JSON: ${error.message}`);
+    }
+    return { cookie: parsed.cookie || "", csrfToken: parsed.csrfToken || parsed.csrf_token || "" };
+};
+
+const runCommand = (command) =>
+    new Promise((resolve, reject) => {
+        exec(command, { timeout: config.requestTimeoutMs, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                reject(new Error(`Credential command failed: ${(stderr || error.message).trim()}`));
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+
+const PROVIDERS = {
+    env: async () => ({ cookie: config.apiCookie, csrfToken: config.apiCsrfToken }),
+    file: async () => {
+        if (!config.authFile) throw new Error("AUTH_PROVIDER=file needs AUTH_FILE.");
+        return parseCredentials(await fs.promises.readFile(config.authFile, "utf8"), config.authFile);
+    },
+    command: async () => {
+        if (!config.authCommand) throw new Error("AUTH_PROVIDER=command needs AUTH_COMMAND.");
+        return parseCredentials(await runCommand(config.authCommand), "command");
+    }
+};
+
+const getCookieHeader = () => [...jar.entries()].map(([name, value]) => `${name}=${value}`).join("; ");
+
+const getCsrfToken = () => csrfToken;
+
+const applyCredentials = (credentials) => {
+    jar.clear();
+    for (const [name, value] of parseCookieHeader(credentials.cookie)) jar.set(name, value);
+    csrfToken = credentials.csrfToken || jar.get(config.authCsrfCookieName) || "";
+    generation += 1;
+};
+
+const fetchCredentials = async () => {
+    const provider = PROVIDERS[config.authProvider];
+    if (!provider) throw new Error(`Unknown auth provider: ${config.authProvider}`);
+    const credentials = await provider();
+    return { credentials, fingerprint: `${credentials.cookie || ""}\n${credentials.csrfToken || ""}` };
+};
+
+const loadCredentials = async () => {
+    const { credentials, fingerprint } = await fetchCredentials();
+    applyCredentials(credentials);
+    provided = fingerprint;
+    logger.debug("Credentials loaded.", { provider: config.authProvider, cookies: [...jar.keys()] });
+};
+
+const ensureSession = () => {
+    if (!loaded) {
+        loaded = loadCredentials().catch((error) => {
+            loaded = null;
+            throw error;
+        });
+    }
+    return loaded;
+};
+
+// Asks the provider again; true only if it handed back something new to try.
+// Unchanged credentials leave the jar alone so Set-Cookie updates are not rolled back.
+const reloadCredentials = async () => {
+    const { credentials, fingerprint } = await fetchCredentials();
+    if (fingerprint === provided) return false;
+    applyCredentials(credentials);
+    provided = fingerprint;
+    loaded = Promise.resolve();
+    logger.info("Credentials reloaded.", { provider: config.authProvider });
+    return true;
+};
+
+const isExpired = (attributes) => {
+    const maxAge = attributes.find(([name]) => name.toLowerCase() === "max-age");
+    if (maxAge) return Number(maxAge[1]) <= 0;
+    const expires = attributes.find(([name]) => name.toLowerCase() === "expires");
+    return Boolean(expires) && new Date(expires[1]).getTime() <= Date.now();
+};
+
+const applySetCookie = (headers) => {
+    const setCookie = headers?.["set-cookie"];
+    const values = Array.isArray(setCookie) ? setCookie : setCookie ? [setCookie] : [];
+    for (const value of values) {
+        const [pair, ...attributes] = parseCookieHeader(value);
+        if (!pair) continue;
+        const [name, cookieValue] = pair;
+        if (isExpired(attributes)) {
+            jar.delete(name);
+        } else {
+            jar.set(name, cookieValue);
+            if (name === config.authCsrfCookieName) csrfToken = cookieValue;
+        }
+    }
+    const headerToken = headers?.["x-csrftoken"];
+    if (headerToken) csrfToken = headerToken;
+};
+
+const installSession = (instance) => {
+    instance.interceptors.request.use(async (request) => {
+        await ensureSession();
+        const cookie = getCookieHeader();
+        if (cookie) request.headers.Cookie = cookie;
+        if (csrfToken) request.headers["X-Csrftoken"] = csrfToken;
+        return request;
+    });
+    instance.interceptors.response.use(
+        (response) => {
+            applySetCookie(response.headers);
+            return response;
+        },
+        (error) => {
+            if (error.response) applySetCookie(error.response.headers);
+            throw error;
+        }
+    );
+    return instance;
+};
+
+const isAuthFailure = (error) => AUTH_STATUSES.has(error?.response?.status);
+
+const createAuthError = (error, reloadError = null) => {
+    const reason = reloadError ? ` Reloading credentials failed: ${reloadError.message}` : "";
+    const authError = new Error(
+        `Upstream rejected the session (HTTP ${error.response.status}); refresh the credentials and resume.${reason}`
+    );
+    authError.code = AUTH_REQUIRED;
+    authError.response = error.response;
+    if (reloadError) authError.cause = reloadError;
+    return authError;
+};
+
+// Concurrent rejections share one reload, so every caller retries with its result.
+const reloadOnce = () => {
+    if (!reloading) {
+        reloading = reloadCredentials().finally(() => {
+            reloading = null;
+        });
+    }
+    return reloading;
+};
+
+// Gives the provider one chance to hand out fresh credentials before declaring the session dead.
+const withSession = async (requestFn) => {
+    await ensureSession();
+    const sentWith = generation;
+    try {
+        return await requestFn();
+    } catch (error) {
+        if (!isAuthFailure(error)) throw error;
+        const retry = async () => {
+            try {
+                return await requestFn();
+            } catch (retryError) {
+                throw isAuthFailure(retryError) ? createAuthError(retryError) : retryError;
+            }
+        };
+        // Another request already swapped the credentials this one was sent with.
+        if (generation !== sentWith) return retry();
+        logger.warn("Request rejected as unauthenticated; reloading credentials.", {
+            status: error.response.status,
+            provider: config.authProvider
+        });
+        let reloaded;
+        try {
+            reloaded = await reloadOnce();
+        } catch (reloadError) {
+            throw createAuthError(error, reloadError);
+        }
+        if (!reloaded) throw createAuthError(error);
+        return retry();
+    }
+};
+
+module.exports = {
+    AUTH_REQUIRED,
+    getCookieHeader,
+    getCsrfToken,
+    ensureSession,
+    reloadCredentials,
+    applySetCookie,
+    installSession,
+    isAuthFailure,
+    withSession
+};
@@ -0,0 +1,100 @@
+const config = require("./config");
+const { readExplicit, deriveConfig } = require("./configDerived");
+
+const TRUE_VALUES = ["1", "true", "yes", "y"];
+
+const toKebab = (key) => key.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+
+const toCamel = (name) => name.replace(/-([a-z0-9])/g, (_match, char) => char.toUpperCase());
+
+const typeOfValue = (value) => {
+    if (Array.isArray(value)) return "list";
+    if (typeof value === "boolean") return "boolean";
+    if (typeof value === "number") return "number";
+    return "string";
+};
+
+const getConfigFlags = () =>
+    Object.fromEntries(
+        Object.entries(config).map(([key, value]) => [
+            toKebab(key),
+            { key, type: typeOfValue(value) }
+        ])
+    );
+
+const coerce = (name, type, value) => {
+    if (type === "boolean") return TRUE_VALUES.includes(String(value).toLowerCase());
+    if (type === "number") {
+        const parsed = Number(value);
+        if (!Number.isFinite(parsed)) throw new Error(`Flag --${name} expects a number.`);
+        return parsed;
+    }
+    if (type === "list") {
+        return String(value)
+            .split(",")
+            .map((item) => item.trim())
+            .filter((item) => item.length > 0);
+    }
+    return String(value);
+};
+
+const parseArgv = (argv, commandFlags = {}) => {
+    const configFlags = getConfigFlags();
+    const positionals = [];
+    const flags = {};
+    const overrides = {};
+
+    for (let i = 0; i < argv.length; i += 1) {
+        const token = argv[i];
+        if (token === "--") {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!token.startsWith("--")) {
+            positionals.push(token);
+            continue;
+        }
+        const equalsIndex = token.indexOf("=");
+        let name = equalsIndex === -1 ? token.slice(2) : token.slice(2, equalsIndex);
+        let value = equalsIndex === -1 ? undefined : token.slice(equalsIndex + 1);
+        let negated = false;
+        if (!commandFlags[name] && !configFlags[name] && name.startsWith("no-")) {
+            name = name.slice(3);
+            negated = true;
+        }
+        const type = commandFlags[name] || configFlags[name]?.type;
+        if (!type) throw new Error(`Unknown flag --${name}.`);
+        if (type === "boolean") {
+            if (negated) value = "false";
+            if (value === undefined) value = "true";
+        } else {
+            if (negated) throw new Error(`Flag --${name} cannot be negated.`);
+            if (value === undefined) {
+                value = argv[i + 1];
+                i += 1;
+            }
+            if (value === undefined) throw new Error(`Flag --${name} expects a value.`);
+        }
+        const parsed = coerce(name, type, value);
+        if (commandFlags[name]) {
+            flags[toCamel(name)] = parsed;
+        } else {
+            overrides[configFlags[name].key] = parsed;
+        }
+    }
+
+    return { positionals, flags, overrides };
+};
+
+const applyConfigOverrides = (overrides) => {
+    Object.assign(config, overrides);
+    // A flag for a computed setting pins it; the rest are recomputed from the new inputs.
+    const pinned = Object.fromEntries(
+        ["listNarrow", "s3BaseUrl", "s3Enabled", "storageBaseUrl", "storageEnabled"]
+            .filter((key) => key in overrides)
+            .map((key) => [key, overrides[key]])
+    );
+    deriveConfig(config, { ...readExplicit(), ...pinned });
+};
+
+module.exports = { parseArgv, applyConfigOverrides, toKebab };
@@ -0,0 +1,30 @@
+const { ensureIndexes, getCollections } = require("../db");
+const { resyncAssets } = require("../detailSync");
+
+const usage = "assets [slug...]          Re-run asset mirroring on stored details (--failed-only)";
+
+const flags = { "failed-only": "boolean" };
+
+const run = async ({ positionals, flags: options }) => {
+    await ensureIndexes();
+    const { detailCollection } = await getCollections();
+    const filter = {};
+    if (positionals.length) filter.slug = { $in: positionals };
+    if (options.failedOnly) filter["raw.extra_data.asset_sync.files.status"] = "failed";
+
+    const cursor = detailCollection.find(filter, { projection: { slug: 1 } });
+    const summary = { details: 0, assets: 0, failedAssets: 0, changed: 0 };
+    for await (const { slug } of cursor) {
+        const result = await resyncAssets(slug);
+        if (!result) continue;
+        summary.details += 1;
+        summary.assets += result.assets;
+        summary.failedAssets += result.failedAssets;
+        if (result.changed) summary.changed += 1;
+        process.stdout.write(`${JSON.stringify(result)}\n`);
+    }
+    process.stdout.write(`${JSON.stringify(summary)}\n`);
+    return summary.failedAssets ? 1 : 0;
+};
+
+module.exports = { usage, flags, run };
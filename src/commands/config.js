@@ -0,0 +1,57 @@
+const config = require("../config");
+const { getLoadedProfile } = require("../configProfiles");
+const { findConfigProblems } = require("../configSchema");
+
+const usage = "config <print|validate>   Show the effective config (secrets redacted) or check it";
+
+const flags = {};
+
+// Skips startup validation: printing a broken config is how you find out what is broken.
+const requires = null;
+
+const SECRET_PATTERN = /secret|password|token|cookie|accesskey/i;
+const REDACTED = "[redacted]";
+
+const redactUrlCredentials = (value) => value.replace(/\/\/([^:/@]+):([^@]+)@/, `//$1:${REDACTED}@`);
+
+const redactConfig = (values) =>
+    Object.fromEntries(
+        Object.entries(values).map(([key, value]) => {
+            if (SECRET_PATTERN.test(key) && value) return [key, REDACTED];
+            if (typeof value === "string" && value.includes("@")) return [key, redactUrlCredentials(value)];
+            return [key, value];
+        })
+    );
+
+const run = async ({ positionals }) => {
+    const [action] = positionals;
+    const profile = getLoadedProfile();
+    const problems = findConfigProblems(config, ["mongo", "source"]);
+    if (action === "print") {
+        process.stdout.write(
+            `${JSON.stringify(
+                {
+                    configFile: profile.file,
+                    profile: profile.profile,
+                    fromProfile: profile.keys,
+                    config: redactConfig(config)
+                },
+                null,
+                2
+            )}\n`
+        );
+        for (const problem of problems) process.stderr.write(`warning: ${problem}\n`);
+        return 0;
+    }
+    if (action === "validate") {
+        if (!problems.length) {
+            process.stdout.write("Configuration is valid.\n");
+            return 0;
+        }
+        process.stderr.write(`Invalid configuration:\n  ${problems.join("\n  ")}\n`);
+        return 1;
+    }
+    throw new Error(`Usage: ${usage}`);
+};
+
+module.exports = { usage, flags, requires, run };
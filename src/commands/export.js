@@ -0,0 +1,31 @@
+const { exportBundle } = require("../exportBundle");
+
+const usage =
+    "export --out <file.tar.gz> [--query q] [--level l] [--category c] [--problem-type t] [--relative-urls] [--include-tombstoned]  Write a portable bundle; --query only matches items listed by a query-tagging sync";
+
+const flags = {
+    out: "string",
+    query: "list",
+    level: "list",
+    category: "list",
+    "problem-type": "list",
+    "relative-urls": "boolean",
+    "include-tombstoned": "boolean"
+};
+
+const run = async ({ flags: options }) => {
+    if (!options.out) throw new Error(`Usage: ${usage}`);
+    const manifest = await exportBundle({
+        outFile: options.out,
+        relativeUrls: Boolean(options.relativeUrls),
+        queries: options.query || [],
+        levels: options.level || [],
+        categories: options.category || [],
+        problemTypes: options.problemType || [],
+        includeTombstoned: Boolean(options.includeTombstoned)
+    });
+    process.stdout.write(`${JSON.stringify(manifest.counts)}\n`);
+    return manifest.counts.missingAssets ? 1 : 0;
+};
+
+module.exports = { usage, flags, run };
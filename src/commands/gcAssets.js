@@ -0,0 +1,26 @@
+const { gcAssets } = require("../gcAssets");
+const { getLock, isLive, describeLock } = require("../lock");
+
+const usage =
+    "gc-assets [--delete] [--min-age-hours n] [--steal-lock]  Report (or delete) mirrored objects no detail references";
+
+const flags = { delete: "boolean", "min-age-hours": "number", "steal-lock": "boolean" };
+
+const run = async ({ flags: options }) => {
+    const dryRun = !options.delete;
+    if (!dryRun) {
+        const lock = await getLock();
+        if (isLive(lock) && !options.stealLock) {
+            throw new Error(`A sync is running (${describeLock(lock)}); stop it first or pass --steal-lock.`);
+        }
+    }
+    const summary = await gcAssets({
+        dryRun,
+        minAgeHours: options.minAgeHours ?? 24,
+        onOrphan: (orphan) => process.stdout.write(`${JSON.stringify(orphan)}\n`)
+    });
+    process.stdout.write(`${JSON.stringify(summary)}\n`);
+    return 0;
+};
+
+module.exports = { usage, flags, run };
@@ -0,0 +1,32 @@
+const { listRevisions, diffRevisions } = require("../history");
+
+const usage = "history list <slug> | history diff <slug> <from> <to>  Show detail revisions";
+
+const flags = {};
+
+const print = (value) => {
+    process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+};
+
+const parseRevision = (value) => {
+    const parsed = Number.parseInt(value, 10);
+    if (!Number.isFinite(parsed) || parsed < 1) {
+        throw new Error(`Invalid revision: ${value}`);
+    }
+    return parsed;
+};
+
+const run = async ({ positionals }) => {
+    const [action, slug, from, to] = positionals;
+    if (action === "list" && slug) {
+        print(await listRevisions(slug));
+        return 0;
+    }
+    if (action === "diff" && slug && from && to) {
+        print(await diffRevisions(slug, parseRevision(from), parseRevision(to)));
+        return 0;
+    }
+    throw new Error(`Usage: ${usage}`);
+};
+
+module.exports = { usage, flags, run };
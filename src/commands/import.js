@@ -0,0 +1,17 @@
+const { ensureIndexes } = require("../db");
+const { importBundle } = require("../importBundle");
+
+const usage = "import <file.tar.gz> [--conflict skip|overwrite|newer]  Restore an export bundle";
+
+const flags = { conflict: "string" };
+
+const run = async ({ positionals, flags: options }) => {
+    const [file] = positionals;
+    if (!file) throw new Error(`Usage: ${usage}`);
+    await ensureIndexes();
+    const summary = await importBundle({ file, conflict: options.conflict || "skip" });
+    process.stdout.write(`${JSON.stringify(summary)}\n`);
+    return 0;
+};
+
+module.exports = { usage, flags, run };
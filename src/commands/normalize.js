@@ -0,0 +1,32 @@
+const config = require("../config");
+const { ensureIndexes, getCollections } = require("../db");
+const { saveQuestion } = require("../normalize");
+
+const usage = "normalize [slug...] [--problem-type t]  Rebuild canonical questions from stored details";
+
+const flags = { "problem-type": "list" };
+
+const run = async ({ positionals, flags: options }) => {
+    config.normalizeEnabled = true;
+    await ensureIndexes();
+    const { detailCollection } = await getCollections();
+    const filter = {};
+    if (positionals.length) filter.slug = { $in: positionals };
+    if (options.problemType?.length) filter["raw.problem_type"] = { $in: options.problemType };
+
+    const summary = { details: 0, valid: 0, invalid: 0 };
+    for await (const doc of detailCollection.find(filter, { projection: { _id: 0 } })) {
+        const { valid, errors } = await saveQuestion(doc);
+        summary.details += 1;
+        if (valid) {
+            summary.valid += 1;
+        } else {
+            summary.invalid += 1;
+            process.stdout.write(`${JSON.stringify({ slug: doc.slug, errors })}\n`);
+        }
+    }
+    process.stdout.write(`${JSON.stringify(summary)}\n`);
+    return summary.invalid ? 1 : 0;
+};
+
+module.exports = { usage, flags, run };
@@ -0,0 +1,19 @@
+const { planSync } = require("../plan");
+
+const usage = "plan [--max-pages n] [--no-assets]  Dry run: report what sync would fetch and mirror";
+
+const flags = { "max-pages": "number", assets: "boolean" };
+
+const requires = ["mongo", "source"];
+
+const run = async ({ flags: options }) => {
+    const summary = await planSync({
+        maxPages: options.maxPages || 0,
+        assets: options.assets !== false,
+        onItem: (entry) => process.stdout.write(`${JSON.stringify(entry)}\n`)
+    });
+    process.stdout.write(`${JSON.stringify(summary)}\n`);
+    return 0;
+};
+
+module.exports = { usage, flags, requires, run };
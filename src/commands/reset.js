@@ -0,0 +1,58 @@
+const config = require("../config");
+const { getCollections } = require("../db");
+const { getLock, isLive, describeLock } = require("../lock");
+
+const usage = "reset --all | --query <q>  Clear sync_state for every query or for one query (--steal-lock)";
+
+const flags = { all: "boolean", query: "string", "steal-lock": "boolean" };
+
+// Partition children are keyed off the parent, so a re-split would otherwise pick up their old state.
+// Following parent links also catches children a reset of the parent left behind before.
+const collectKeys = (perQuery, query) =>
+    Object.keys(perQuery).filter((key) => {
+        for (let current = key; current !== undefined; current = perQuery[current]?.parent) {
+            if (current === query) return true;
+        }
+        return false;
+    });
+
+const run = async ({ flags: options }) => {
+    const { stateCollection } = await getCollections();
+    const lock = await getLock();
+    if (isLive(lock) && !options.stealLock) {
+        throw new Error(`A sync is running (${describeLock(lock)}); stop it first or pass --steal-lock.`);
+    }
+    if (options.all) {
+        const result = await stateCollection.deleteOne({ _id: config.stateDocId });
+        process.stdout.write(`Cleared sync state ${JSON.stringify(config.stateDocId)} (${result.deletedCount} document).\n`);
+        return 0;
+    }
+    if (options.query === undefined) {
+        throw new Error(`Usage: ${usage}`);
+    }
+
+    const state = await stateCollection.findOne({ _id: config.stateDocId });
+    const perQuery = state?.multiQuery?.perQuery || {};
+    const cleared = collectKeys(perQuery, options.query);
+    if (!cleared.length) {
+        process.stdout.write(`No state for query ${JSON.stringify(options.query)}.\n`);
+        return 1;
+    }
+    const multiQuery = state.multiQuery;
+    for (const key of cleared) delete multiQuery.perQuery[key];
+    const queryIndex = (multiQuery.queries || []).indexOf(options.query);
+    if (queryIndex !== -1 && queryIndex <= (multiQuery.currentIndex ?? 0)) {
+        // Rewind so the next sync revisits the cleared query; later ones resume from their offsets.
+        multiQuery.currentIndex = queryIndex;
+    }
+    const updates = { multiQuery, updatedAt: new Date() };
+    if (state.status === "completed") updates.status = "pending";
+    await stateCollection.updateOne({ _id: config.stateDocId }, { $set: updates });
+    const partitions = cleared.filter((key) => key !== options.query).length;
+    process.stdout.write(
+        `Cleared state for query ${JSON.stringify(options.query)}${partitions ? ` and ${partitions} partition(s)` : ""}.\n`
+    );
+    return 0;
+};
+
+module.exports = { usage, flags, run };
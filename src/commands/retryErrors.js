@@ -0,0 +1,46 @@
+const { ensureIndexes } = require("../db");
+const { retryErrors } = require("../retryErrors");
+
+const usage =
+    "retry-errors [--type detail,asset] [--status 429] [--since <date>] [--until <date>] [--limit n] [--include-resolved] [--dry-run]";
+
+const flags = {
+    type: "list",
+    status: "list",
+    since: "string",
+    until: "string",
+    limit: "number",
+    "include-resolved": "boolean",
+    "dry-run": "boolean"
+};
+
+const requires = ["mongo", "source"];
+
+const parseDate = (value, flag) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new Error(`Invalid --${flag} date: ${value}`);
+    return date;
+};
+
+const parseStatus = (value) => {
+    if (!/^\d{3}$/.test(String(value).trim())) throw new Error(`Invalid --status code: ${value}`);
+    return Number.parseInt(value, 10);
+};
+
+const run = async ({ flags: options }) => {
+    await ensureIndexes();
+    const summary = await retryErrors({
+        types: options.type || [],
+        statuses: (options.status || []).map(parseStatus),
+        since: parseDate(options.since, "since"),
+        until: parseDate(options.until, "until"),
+        limit: options.limit || 0,
+        includeResolved: Boolean(options.includeResolved),
+        dryRun: Boolean(options.dryRun)
+    });
+    process.stdout.write(`${JSON.stringify(summary)}\n`);
+    return summary.failing ? 1 : 0;
+};
+
+module.exports = { usage, flags, requires, run };
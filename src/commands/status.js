@@ -0,0 +1,65 @@
+const config = require("../config");
+const { getCollections } = require("../db");
+const { isLive, describeLock } = require("../lock");
+
+const usage = "status [--json]           Print sync_state and per-query progress";
+
+const flags = { json: "boolean" };
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : "-");
+
+const formatQuery = (key, perQuery) =>
+    [
+        `  ${JSON.stringify(key)}`,
+        `status=${perQuery.status || "-"}`,
+        `offset=${perQuery.lastOffset ?? 0}`,
+        `list=${perQuery.listRequests ?? 0}`,
+        `details=${perQuery.detailItemsSaved ?? 0}`,
+        `skipped=${perQuery.detailItemsSkipped ?? 0}`,
+        `failed=${perQuery.failedRequests ?? 0}`,
+        perQuery.stopReason ? `stop=${perQuery.stopReason}` : null,
+        perQuery.partitions ? `partitions=${perQuery.partitions.length}` : null,
+        perQuery.coverage?.expected != null
+            ? `coverage=${perQuery.coverage.covered}/${perQuery.coverage.expected}`
+            : null,
+        perQuery.watermark ? `watermark=${formatDate(perQuery.watermark)}` : null
+    ]
+        .filter(Boolean)
+        .join(" ");
+
+const run = async ({ flags: options }) => {
+    const { stateCollection } = await getCollections();
+    const state = await stateCollection.findOne({ _id: config.stateDocId });
+    if (!state) {
+        process.stdout.write(`No sync state for ${JSON.stringify(config.stateDocId)}.\n`);
+        return 1;
+    }
+    if (options.json) {
+        process.stdout.write(`${JSON.stringify(state, null, 2)}\n`);
+        return 0;
+    }
+    const perQuery = state.multiQuery?.perQuery || {};
+    const queries = state.multiQuery?.queries || [];
+    const lines = [
+        `State ${JSON.stringify(state._id)}: ${state.status || "-"}`,
+        `  started=${formatDate(state.startedAt)} updated=${formatDate(state.updatedAt)} completed=${formatDate(state.completedAt)}`,
+        `  currentQuery=${JSON.stringify(state.currentQuery ?? null)} offset=${state.lastOffset ?? 0} total=${state.totalCount ?? "-"}`,
+        `  listRequests=${state.listRequests ?? 0} detailRequests=${state.detailRequests ?? 0} listSaved=${state.listItemsSaved ?? 0} detailSaved=${state.detailItemsSaved ?? 0} detailSkipped=${state.detailItemsSkipped ?? 0} failed=${state.failedRequests ?? 0}`,
+        state.lastError ? `  lastError=${state.lastError}` : null,
+        state.pausedReason ? `  pausedReason=${state.pausedReason}` : null,
+        state.lastTombstoneReport
+            ? `  tombstoned=${state.lastTombstoneReport.tombstoned} resurrected=${state.lastTombstoneReport.resurrected} at=${formatDate(state.lastTombstoneReport.at)}`
+            : null,
+        state.lock
+            ? `  lock=${isLive(state.lock) ? "held" : "expired"} by ${describeLock(state.lock)} heartbeat=${formatDate(state.lock.heartbeatAt)}`
+            : null,
+        queries.length
+            ? `Queries (${Math.min((state.multiQuery.currentIndex ?? 0) + 1, queries.length)}/${queries.length}):`
+            : "Queries:",
+        ...Object.entries(perQuery).map(([key, value]) => formatQuery(key, value))
+    ].filter((line) => line !== null);
+    process.stdout.write(`${lines.join("\n")}\n`);
+    return 0;
+};
+
+module.exports = { usage, flags, run };
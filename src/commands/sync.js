@@ -0,0 +1,31 @@
+const { runSync } = require("../sync");
+const { startStatusServer } = require("../statusServer");
+const { installSignalHandlers, onForcedStop } = require("../shutdown");
+const { acquireLock, releaseLock, startHeartbeat } = require("../lock");
+
+const usage = "sync [--steal-lock]       Run the list/detail sync, resuming from sync_state";
+
+const flags = { "steal-lock": "boolean" };
+
+const requires = ["mongo", "source"];
+
+const run = async ({ flags: options }) => {
+    await acquireLock({ steal: Boolean(options.stealLock) });
+    const stopHeartbeat = startHeartbeat();
+    // Forced-stop handlers run newest first, so runSync's pause is written before this releases the lock.
+    const unregisterForcedStop = onForcedStop(releaseLock);
+    const removeSignalHandlers = installSignalHandlers();
+    const statusServer = await startStatusServer();
+    try {
+        await runSync();
+    } finally {
+        if (statusServer) await statusServer.close();
+        removeSignalHandlers();
+        unregisterForcedStop();
+        stopHeartbeat();
+        await releaseLock();
+    }
+    return 0;
+};
+
+module.exports = { usage, flags, requires, run };
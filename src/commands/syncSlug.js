@@ -0,0 +1,26 @@
+const { ensureIndexes } = require("../db");
+const { syncDetail } = require("../detailSync");
+
+const usage = "sync-slug <slug...>       Fetch, mirror and save specific questions";
+
+const flags = {};
+
+const requires = ["mongo", "source"];
+
+const run = async ({ positionals }) => {
+    if (!positionals.length) throw new Error(`Usage: ${usage}`);
+    await ensureIndexes();
+    let failures = 0;
+    for (const slug of positionals) {
+        try {
+            const result = await syncDetail(slug);
+            process.stdout.write(`${JSON.stringify(result)}\n`);
+        } catch (error) {
+            failures += 1;
+            process.stderr.write(`${slug}: ${error.message}\n`);
+        }
+    }
+    return failures ? 1 : 0;
+};
+
+module.exports = { usage, flags, requires, run };
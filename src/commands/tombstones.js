@@ -0,0 +1,32 @@
+const { ensureIndexes } = require("../db");
+const { listEvents } = require("../tombstones");
+
+const usage =
+    "tombstones [--since <date>] [--event tombstoned|resurrected] [--limit n]  List questions removed from or restored upstream";
+
+const flags = { since: "string", event: "string", limit: "number" };
+
+const EVENTS = ["tombstoned", "resurrected"];
+
+const run = async ({ flags: options }) => {
+    if (options.event && !EVENTS.includes(options.event)) {
+        throw new Error(`Unknown --event ${options.event}; expected ${EVENTS.join(" or ")}.`);
+    }
+    let since = null;
+    if (options.since) {
+        since = new Date(options.since);
+        if (Number.isNaN(since.getTime())) throw new Error(`Invalid --since date: ${options.since}`);
+    }
+    await ensureIndexes();
+    const events = await listEvents({ since, event: options.event || null, limit: options.limit || 0 });
+    const summary = { tombstoned: 0, resurrected: 0 };
+    for (const event of events) {
+        summary[event.event] += 1;
+        const { _id, ...fields } = event;
+        process.stdout.write(`${JSON.stringify(fields)}\n`);
+    }
+    process.stdout.write(`${JSON.stringify(summary)}\n`);
+    return 0;
+};
+
+module.exports = { usage, flags, run };
@@ -0,0 +1,34 @@
+const { ensureIndexes } = require("../db");
+const { verifyAssets } = require("../verifyAssets");
+
+const usage =
+    "verify-assets [--slug s] [--key k] [--hash h] [--unverified-only] [--quick] [--limit n]  Re-check stored assets against recorded checksums";
+
+const flags = {
+    slug: "list",
+    key: "list",
+    hash: "list",
+    "unverified-only": "boolean",
+    quick: "boolean",
+    limit: "number"
+};
+
+const run = async ({ flags: options }) => {
+    await ensureIndexes();
+    const summary = await verifyAssets({
+        slugs: options.slug || [],
+        keys: options.key || [],
+        hashes: options.hash || [],
+        unverifiedOnly: Boolean(options.unverifiedOnly),
+        quick: Boolean(options.quick),
+        limit: options.limit || 0
+    });
+    for (const drift of summary.drift) {
+        process.stdout.write(`${JSON.stringify(drift)}\n`);
+    }
+    const { drift, ...counts } = summary;
+    process.stdout.write(`${JSON.stringify({ ...counts, drifted: drift.length })}\n`);
+    return drift.length ? 1 : 0;
+};
+
+module.exports = { usage, flags, run };
@@ -1,78 +1,64 @@
 require("dotenv").config();
-
-const parseBool = (value, fallback) => {
-    if (value === undefined) return fallback;
-    return ["1", "true", "yes", "y"].includes(String(value).toLowerCase());
-};
-
-const parseIntSafe = (value, fallback) => {
-    const parsed = Number.parseInt(value, 10);
-    return Number.isFinite(parsed) ? parsed : fallback;
-};
-
-const parseFloatSafe = (value, fallback) => {
-    const parsed = Number.parseFloat(value);
-    return Number.isFinite(parsed) ? parsed : fallback;
-};
+require("./configProfiles").loadProfile();
+const { deriveConfig } = require("./configDerived");
+const { parseBool, parseList, envInt, envFloat } = require("./configParsers");
 
 const delayMode = (process.env.DELAY_MODE || "delayed").toLowerCase();
-const appendNarrowFilter = (narrow, key, value) => {
-    if (!value) return narrow;
-    if (narrow.includes(`${key}|`)) return narrow;
-    const trimmed = (narrow || "").trim();
-    const separator = trimmed.endsWith("||") || trimmed.length === 0 ? "" : "||";
-    return `${trimmed}${separator}${key}|${value}||`;
-};
-const s3Bucket = process.env.S3_BUCKET || "";
-const s3Region = process.env.S3_REGION || "";
-const s3AccessKeyId = process.env.S3_ACCESS_KEY_ID || "";
-const s3SecretAccessKey = process.env.S3_SECRET_ACCESS_KEY || "";
-const s3BaseUrl =
-    process.env.S3_BASE_URL ||
-    (s3Bucket && s3Region
-        ? `https://${s3Bucket}.s3.${s3Region}.amazonaws.com`
-        : "");
-const s3Enabled = parseBool(
-    process.env.S3_ENABLED,
-    Boolean(s3Bucket && s3Region && s3AccessKeyId && s3SecretAccessKey)
-);
 
-module.exports = {
+const config = {
     mongoUri: process.env.MONGODB_URI || "",
     dbName: process.env.MONGODB_DB || "",
+    sourceType: (process.env.SOURCE_TYPE || "api").toLowerCase(),
+    sourceDir: process.env.SOURCE_DIR || "",
+    sourceIdField: process.env.SOURCE_ID_FIELD || "slug",
+    sourceModifiedField: process.env.SOURCE_MODIFIED_FIELD || "modified",
     listBaseUrl: process.env.LIST_BASE_URL || "",
     detailBaseUrl:
         process.env.DETAIL_BASE_URL || "",
     listIndex: process.env.LIST_INDEX || "problem",
-    listLimit: parseIntSafe(process.env.LIST_LIMIT, 200),
-    listNarrow: appendNarrowFilter(
-        process.env.LIST_NARROW || "",
-        "problem_type",
-        process.env.LIST_PROBLEM_TYPE || ""
-    ),
+    listLimit: envInt("LIST_LIMIT", 200),
+    listProblemType: process.env.LIST_PROBLEM_TYPE || "",
     listOrderBy: process.env.LIST_ORDER_BY || "-modified",
     listPageType: process.env.LIST_PAGE_TYPE || "library",
     listQuery: process.env.LIST_QUERY || "",
-    listQueryList: (process.env.LIST_QUERY_LIST || "")
-        .split(",")
-        .map((value) => value.trim())
-        .filter((value) => value.length > 0),
+    listQueryList: parseList(process.env.LIST_QUERY_LIST),
     listTag: process.env.LIST_TAG || "",
     listView: process.env.LIST_VIEW || "",
-    listMaxResultWindow: parseIntSafe(process.env.LIST_MAX_RESULT_WINDOW, 10000),
+    listMaxResultWindow: envInt("LIST_MAX_RESULT_WINDOW", 10000),
+    listPartitionEnabled: parseBool(process.env.LIST_PARTITION_ENABLED, true),
+    listPartitionFacets: parseList(process.env.LIST_PARTITION_FACETS || "level,category,problem_type"),
+    listPartitionLevels: parseList(process.env.LIST_PARTITION_LEVELS),
+    listPartitionCategories: parseList(process.env.LIST_PARTITION_CATEGORIES),
+    listPartitionProblemTypes: parseList(process.env.LIST_PARTITION_PROBLEM_TYPES),
+    listPartitionModifiedKey: process.env.LIST_PARTITION_MODIFIED_KEY || "",
+    listPartitionModifiedSince: process.env.LIST_PARTITION_MODIFIED_SINCE || "2010-01-01T00:00:00Z",
+    listPartitionDateSlices: Math.max(2, envInt("LIST_PARTITION_DATE_SLICES", 4)),
     detailEnv: process.env.DETAIL_ENV || "",
     detailUser: process.env.DETAIL_USER || "",
-    requestTimeoutMs: parseIntSafe(process.env.REQUEST_TIMEOUT_MS, 20000),
-    maxRetries: parseIntSafe(process.env.MAX_RETRIES, 3),
-    retryDelaySec: parseFloatSafe(process.env.RETRY_DELAY_SEC, 5),
-    rateLimitDelaySec: parseFloatSafe(process.env.RATE_LIMIT_DELAY_SEC, 60),
+    requestTimeoutMs: envInt("REQUEST_TIMEOUT_MS", 20000),
+    maxRetries: envInt("MAX_RETRIES", 3),
+    retryDelaySec: envFloat("RETRY_DELAY_SEC", 5),
+    rateLimitDelaySec: envFloat("RATE_LIMIT_DELAY_SEC", 60),
+    retryMaxDelaySec: envFloat("RETRY_MAX_DELAY_SEC", 300),
+    retryAfterMaxSec: envFloat("RETRY_AFTER_MAX_SEC", 900),
+    circuitBreakerEnabled: parseBool(process.env.CIRCUIT_BREAKER_ENABLED, true),
+    circuitWindowSize: envInt("CIRCUIT_WINDOW_SIZE", 20),
+    circuitMinRequests: envInt("CIRCUIT_MIN_REQUESTS", 10),
+    circuitErrorThreshold: envFloat("CIRCUIT_ERROR_THRESHOLD", 0.5),
+    circuitCooldownSec: envFloat("CIRCUIT_COOLDOWN_SEC", 120),
+    circuitMaxOpens: envInt("CIRCUIT_MAX_OPENS", 5),
+    shutdownGraceSec: envFloat("SHUTDOWN_GRACE_SEC", 30),
+    lockTtlSec: Math.max(5, envFloat("LOCK_TTL_SEC", 120)),
+    lockHeartbeatSec: envFloat("LOCK_HEARTBEAT_SEC", 30),
     skipExistingDetails: parseBool(process.env.SKIP_EXISTING_DETAILS, false),
     detailOnlyIfMissing: parseBool(process.env.DETAIL_ONLY_IF_MISSING, false),
     delayMode,
-    detailDelayMinSec: parseFloatSafe(process.env.DETAIL_DELAY_MIN_SEC, 1),
-    detailDelayMaxSec: parseFloatSafe(process.env.DETAIL_DELAY_MAX_SEC, 3),
-    listDelayMinSec: parseFloatSafe(process.env.LIST_DELAY_MIN_SEC, 2),
-    listDelayMaxSec: parseFloatSafe(process.env.LIST_DELAY_MAX_SEC, 5),
+    detailDelayMinSec: envFloat("DETAIL_DELAY_MIN_SEC", 1),
+    detailDelayMaxSec: envFloat("DETAIL_DELAY_MAX_SEC", 3),
+    listDelayMinSec: envFloat("LIST_DELAY_MIN_SEC", 2),
+    listDelayMaxSec: envFloat("LIST_DELAY_MAX_SEC", 5),
+    detailConcurrency: Math.max(1, envInt("DETAIL_CONCURRENCY", 1)),
+    requestsPerSecond: envFloat("REQUESTS_PER_SECOND", 0),
     stateDocId: process.env.STATE_DOC_ID || "",
     apiCookie: process.env.API_COOKIE || "",
     apiCsrfToken: process.env.API_CSRF_TOKEN || "",
@@ -80,6 +66,10 @@ module.exports = {
         process.env.API_USER_AGENT ||
         "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
     apiReferer: process.env.API_REFERER || "",
+    authProvider: (process.env.AUTH_PROVIDER || "env").toLowerCase(),
+    authFile: process.env.AUTH_FILE || "",
+    authCommand: process.env.AUTH_COMMAND || "",
+    authCsrfCookieName: process.env.AUTH_CSRF_COOKIE_NAME || "csrftoken",
     assetSyncEnabled: parseBool(process.env.ASSET_SYNC_ENABLED, true),
     assetScanAllUrls: parseBool(process.env.ASSET_SCAN_ALL_URLS, true),
     assetDownloadEnabled: parseBool(process.env.ASSET_DOWNLOAD_ENABLED, true),
@@ -89,12 +79,27 @@ module.exports = {
     assetCleanupEnabled: parseBool(process.env.ASSET_CLEANUP_ENABLED, true),
     assetUrlStrict: parseBool(process.env.ASSET_URL_STRICT, true),
     assetHeadCheckEnabled: parseBool(process.env.ASSET_HEAD_CHECK_ENABLED, false),
+    assetTypeCheckEnabled: parseBool(process.env.ASSET_TYPE_CHECK_ENABLED, true),
+    logLevel: (process.env.LOG_LEVEL || "info").toLowerCase(),
+    logFormat: (process.env.LOG_FORMAT || "text").toLowerCase(),
+    logFile: process.env.LOG_FILE || "",
+    logFileMaxBytes: envInt("LOG_FILE_MAX_BYTES", 10 * 1024 * 1024),
+    logFileMaxFiles: envInt("LOG_FILE_MAX_FILES", 5),
     forceResume: parseBool(process.env.FORCE_RESUME, false),
-    s3Bucket,
-    s3Region,
-    s3AccessKeyId,
-    s3SecretAccessKey,
-    s3BaseUrl,
-    s3Enabled
+    incrementalSync: parseBool(process.env.INCREMENTAL_SYNC, false),
+    normalizeEnabled: parseBool(process.env.NORMALIZE_ENABLED, true),
+    statusServerEnabled: parseBool(process.env.STATUS_SERVER_ENABLED, false),
+    statusServerHost: process.env.STATUS_SERVER_HOST || "127.0.0.1",
+    statusServerPort: envInt("STATUS_SERVER_PORT", 9464),
+    s3Bucket: process.env.S3_BUCKET || "",
+    s3Region: process.env.S3_REGION || "",
+    s3AccessKeyId: process.env.S3_ACCESS_KEY_ID || "",
+    s3SecretAccessKey: process.env.S3_SECRET_ACCESS_KEY || "",
+    s3Endpoint: (process.env.S3_ENDPOINT || "").replace(/\/+$/, ""),
+    s3ForcePathStyle: parseBool(process.env.S3_FORCE_PATH_STYLE, false),
+    storageBackend: (process.env.STORAGE_BACKEND || "s3").toLowerCase(),
+    storageDir: process.env.STORAGE_DIR || ""
 };
 
+module.exports = deriveConfig(config);
+
@@ -0,0 +1,53 @@
+const { appendNarrowFilter } = require("./utils");
+const { parseBool } = require("./configParsers");
+
+const trimSlashes = (value) => value.replace(/\/+$/, "");
+
+// Values given directly for settings that would otherwise be computed from others.
+const readExplicit = (env = process.env) => ({
+    listNarrow: env.LIST_NARROW || "",
+    s3BaseUrl: env.S3_BASE_URL || "",
+    s3Enabled: parseBool(env.S3_ENABLED, undefined),
+    storageBaseUrl: env.STORAGE_BASE_URL || ""
+});
+
+const buildS3BaseUrl = ({ s3Bucket, s3Region, s3Endpoint, s3ForcePathStyle }) => {
+    if (!s3Bucket) return "";
+    if (!s3Endpoint) {
+        return s3Region ? `https://${s3Bucket}.s3.${s3Region}.amazonaws.com` : "";
+    }
+    // A malformed endpoint is left for validation to report against s3Endpoint.
+    if (!/^https?:\/\//.test(s3Endpoint) || !URL.canParse(s3Endpoint)) return "";
+    if (s3ForcePathStyle) return `${s3Endpoint}/${s3Bucket}`;
+    const endpoint = new URL(s3Endpoint);
+    return `${endpoint.protocol}//${s3Bucket}.${endpoint.host}`;
+};
+
+// Fills in the settings computed from others. Runs at load and again after CLI overrides,
+// so a flag like --storage-backend changes everything that depends on it.
+const deriveConfig = (values, explicit = readExplicit()) => {
+    const s3BaseUrl = trimSlashes(explicit.s3BaseUrl || buildS3BaseUrl(values));
+    const s3Enabled =
+        explicit.s3Enabled ??
+        Boolean(
+            values.s3Bucket &&
+                (values.s3Region || values.s3Endpoint) &&
+                values.s3AccessKeyId &&
+                values.s3SecretAccessKey
+        );
+    const storageBaseUrl = trimSlashes(
+        explicit.storageBaseUrl || (values.storageBackend === "s3" ? s3BaseUrl : "")
+    );
+    const storageEnabled =
+        explicit.storageEnabled ??
+        (values.storageBackend === "filesystem" ? Boolean(values.storageDir) : s3Enabled);
+    return Object.assign(values, {
+        listNarrow: appendNarrowFilter(explicit.listNarrow, "problem_type", values.listProblemType),
+        s3BaseUrl,
+        s3Enabled,
+        storageBaseUrl,
+        storageEnabled
+    });
+};
+
+module.exports = { readExplicit, deriveConfig };
@@ -0,0 +1,33 @@
+// Env values that could not be parsed; the default is used, but startup validation reports them.
+const parseProblems = new Map();
+
+const parseBool = (value, fallback) => {
+    if (value === undefined) return fallback;
+    return ["1", "true", "yes", "y"].includes(String(value).toLowerCase());
+};
+
+const parseList = (value) =>
+    (value || "")
+        .split(",")
+        .map((item) => item.trim())
+        .filter((item) => item.length > 0);
+
+const readNumber = (name, fallback, parse) => {
+    const value = process.env[name];
+    parseProblems.delete(name);
+    if (value === undefined || value.trim() === "") return fallback;
+    const parsed = parse(value);
+    if (!Number.isFinite(Number(value)) || !Number.isFinite(parsed)) {
+        parseProblems.set(name, `${name}: ${JSON.stringify(value)} is not a number`);
+        return fallback;
+    }
+    return parsed;
+};
+
+const envInt = (name, fallback) => readNumber(name, fallback, (value) => Number.parseInt(value, 10));
+
+const envFloat = (name, fallback) => readNumber(name, fallback, Number.parseFloat);
+
+const getParseProblems = () => [...parseProblems.values()];
+
+module.exports = { parseBool, parseList, envInt, envFloat, getParseProblems };
@@ -0,0 +1,74 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+const DEFAULT_FILES = ["question-sync.config.yaml", "question-sync.config.yml", "question-sync.config.json"];
+const ENV_NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+let loaded = { file: null, profile: null, keys: [], profiles: [] };
+
+const findConfigFile = () => {
+    if (process.env.CONFIG_FILE) return path.resolve(process.env.CONFIG_FILE);
+    return DEFAULT_FILES.map((name) => path.resolve(name)).find((file) => fs.existsSync(file)) || null;
+};
+
+const parseFile = (file) => {
+    const text = fs.readFileSync(file, "utf8");
+    try {
+        return /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Could not parse config file ${file}: ${error.message}`);
+    }
+};
+
+const toEnvValue = (value) => {
+    if (Array.isArray(value)) return value.join(",");
+    if (value === null || value === undefined) return "";
+    return String(value);
+};
+
+const checkSection = (file, label, section) => {
+    if (section === undefined) return {};
+    if (!section || typeof section !== "object" || Array.isArray(section)) {
+        throw new Error(`${file}: "${label}" must be a mapping of environment variable names to values.`);
+    }
+    const invalid = Object.keys(section).filter((key) => !ENV_NAME_PATTERN.test(key));
+    if (invalid.length) {
+        throw new Error(`${file}: "${label}" keys must be environment variable names, got ${invalid.join(", ")}.`);
+    }
+    return section;
+};
+
+// A profile file holds env-var-named settings: `defaults` plus named `profiles` layered on top.
+// Real environment variables (and .env) still win, so the file only fills what is unset.
+const loadProfile = () => {
+    const file = findConfigFile();
+    const profile = process.env.CONFIG_PROFILE || null;
+    if (!file) {
+        if (profile) throw new Error(`CONFIG_PROFILE=${profile} is set but no config file was found.`);
+        loaded = { file: null, profile: null, keys: [], profiles: [] };
+        return loaded;
+    }
+    const data = parseFile(file) || {};
+    const profiles = data.profiles || {};
+    const values = { ...checkSection(file, "defaults", data.defaults) };
+    if (profile) {
+        if (!Object.prototype.hasOwnProperty.call(profiles, profile)) {
+            const known = Object.keys(profiles).join(", ") || "none";
+            throw new Error(`Unknown config profile "${profile}" in ${file} (profiles: ${known}).`);
+        }
+        Object.assign(values, checkSection(file, `profiles.${profile}`, profiles[profile]));
+    }
+    const applied = [];
+    for (const [key, value] of Object.entries(values)) {
+        if (process.env[key] !== undefined) continue;
+        process.env[key] = toEnvValue(value);
+        applied.push(key);
+    }
+    loaded = { file, profile, keys: applied, profiles: Object.keys(profiles) };
+    return loaded;
+};
+
+const getLoadedProfile = () => loaded;
+
+module.exports = { loadProfile, getLoadedProfile };
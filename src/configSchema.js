@@ -0,0 +1,139 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const { getParseProblems } = require("./configParsers");
+
+const CONFIG_INVALID = "CONFIG_INVALID";
+
+const HTTP_URL = { type: "string", format: "uri", pattern: "^https?://" };
+const NON_EMPTY = { type: "string", minLength: 1 };
+const atLeast = (minimum, type = "number") => ({ type, minimum });
+// Unset URLs stay "" in config; they are only required where a command needs them.
+const optionalUrl = (schema) => ({ anyOf: [{ const: "" }, schema] });
+
+const properties = {
+    mongoUri: optionalUrl({ type: "string", pattern: "^mongodb(\\+srv)?://" }),
+    sourceType: { enum: ["api", "json-dir"] },
+    listLimit: atLeast(1, "integer"),
+    listMaxResultWindow: atLeast(1),
+    listPartitionDateSlices: atLeast(2, "integer"),
+    requestTimeoutMs: atLeast(1),
+    maxRetries: atLeast(0, "integer"),
+    retryDelaySec: atLeast(0),
+    rateLimitDelaySec: atLeast(0),
+    retryMaxDelaySec: atLeast(0),
+    retryAfterMaxSec: atLeast(0),
+    circuitWindowSize: atLeast(1, "integer"),
+    circuitMinRequests: atLeast(1, "integer"),
+    circuitErrorThreshold: { type: "number", exclusiveMinimum: 0, maximum: 1 },
+    circuitCooldownSec: atLeast(0),
+    circuitMaxOpens: atLeast(0, "integer"),
+    shutdownGraceSec: atLeast(0),
+    lockTtlSec: atLeast(5),
+    lockHeartbeatSec: { type: "number", exclusiveMinimum: 0 },
+    delayMode: { enum: ["immediate", "delayed"] },
+    detailDelayMinSec: atLeast(0),
+    detailDelayMaxSec: atLeast(0),
+    listDelayMinSec: atLeast(0),
+    listDelayMaxSec: atLeast(0),
+    detailConcurrency: atLeast(1, "integer"),
+    requestsPerSecond: atLeast(0),
+    authProvider: { enum: ["env", "file", "command"] },
+    logLevel: { enum: ["debug", "info", "warn", "error"] },
+    logFormat: { enum: ["text", "json"] },
+    logFileMaxBytes: atLeast(1, "integer"),
+    logFileMaxFiles: atLeast(1, "integer"),
+    statusServerPort: { type: "integer", minimum: 0, maximum: 65535 },
+    storageBackend: { enum: ["s3", "filesystem"] },
+    s3Endpoint: optionalUrl(HTTP_URL),
+    storageBaseUrl: optionalUrl({ type: "string", format: "uri" })
+};
+
+const conditionals = [
+    {
+        if: { properties: { authProvider: { const: "file" } } },
+        then: { properties: { authFile: NON_EMPTY } }
+    },
+    {
+        if: { properties: { authProvider: { const: "command" } } },
+        then: { properties: { authCommand: NON_EMPTY } }
+    },
+    {
+        if: { properties: { storageEnabled: { const: true }, storageBackend: { const: "s3" } } },
+        then: { properties: { s3Bucket: NON_EMPTY } }
+    }
+];
+
+// Commands state what they touch: "mongo" needs the database and state doc, "source" the upstream.
+const REQUIREMENTS = {
+    mongo: { properties: { mongoUri: NON_EMPTY, dbName: NON_EMPTY, stateDocId: NON_EMPTY } },
+    source: {
+        allOf: [
+            {
+                if: { properties: { sourceType: { const: "api" } } },
+                then: { properties: { listBaseUrl: HTTP_URL, detailBaseUrl: HTTP_URL } }
+            },
+            {
+                if: { properties: { sourceType: { const: "json-dir" } } },
+                then: { properties: { sourceDir: NON_EMPTY } }
+            }
+        ]
+    }
+};
+
+let ajv;
+
+const getAjv = () => {
+    if (ajv) return ajv;
+    ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(ajv);
+    return ajv;
+};
+
+const describeError = (error) => {
+    const field = error.instancePath.replace(/^\//, "").replace(/\//g, ".") || "(config)";
+    if (error.keyword === "enum") return `${field}: must be one of ${error.params.allowedValues.join(", ")}`;
+    if (["anyOf", "pattern", "format"].includes(error.keyword)) return `${field}: not a valid URL`;
+    if (error.keyword === "minLength") return `${field}: is required`;
+    return `${field}: ${error.message}`;
+};
+
+// Comparisons between fields are awkward in JSON Schema, so they are checked by hand.
+const crossFieldProblems = (config) => {
+    const problems = [];
+    if (config.lockHeartbeatSec >= config.lockTtlSec) {
+        problems.push("lockHeartbeatSec: must be shorter than lockTtlSec");
+    }
+    if (config.detailDelayMinSec > config.detailDelayMaxSec) {
+        problems.push("detailDelayMinSec: must not exceed detailDelayMaxSec");
+    }
+    if (config.listDelayMinSec > config.listDelayMaxSec) {
+        problems.push("listDelayMinSec: must not exceed listDelayMaxSec");
+    }
+    return problems;
+};
+
+const findConfigProblems = (config, requires = []) => {
+    const schema = {
+        type: "object",
+        properties,
+        allOf: [...conditionals, ...requires.map((name) => REQUIREMENTS[name]).filter(Boolean)]
+    };
+    const validate = getAjv().compile(schema);
+    const problems = validate(config)
+        ? []
+        : validate.errors
+              .filter((error) => error.keyword !== "if" && !error.schemaPath.includes("/anyOf/"))
+              .map(describeError);
+    return [...new Set([...getParseProblems(), ...problems, ...crossFieldProblems(config)])];
+};
+
+const validateConfig = (config, requires = []) => {
+    const problems = findConfigProblems(config, requires);
+    if (!problems.length) return;
+    const error = new Error(`Invalid configuration:\n  ${problems.join("\n  ")}`);
+    error.code = CONFIG_INVALID;
+    error.problems = problems;
+    throw error;
+};
+
+module.exports = { CONFIG_INVALID, findConfigProblems, validateConfig };
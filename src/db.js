@@ -13,6 +13,12 @@ const connect = async () => {
     return client;
 };
 
+const close = async () => {
+    if (!client) return;
+    await client.close();
+    client = null;
+};
+
 const getCollections = async () => {
     const mongoClient = await connect();
     const db = mongoClient.db(config.dbName);
@@ -20,25 +26,50 @@ const getCollections = async () => {
         db,
         listCollection: db.collection("questions_list"),
         detailCollection: db.collection("questions_detail"),
+        historyCollection: db.collection("questions_detail_history"),
+        questionCollection: db.collection("questions"),
         stateCollection: db.collection("sync_state"),
-        errorCollection: db.collection("sync_errors")
+        errorCollection: db.collection("sync_errors"),
+        assetCollection: db.collection("assets"),
+        tombstoneCollection: db.collection("question_tombstones")
     };
 };
 
 const ensureIndexes = async () => {
-    const { listCollection, detailCollection, stateCollection, errorCollection } =
-        await getCollections();
+    const {
+        listCollection,
+        detailCollection,
+        historyCollection,
+        questionCollection,
+        stateCollection,
+        errorCollection,
+        assetCollection,
+        tombstoneCollection
+    } = await getCollections();
     await Promise.all([
         listCollection.createIndex({ slug: 1 }, { unique: true }),
         listCollection.createIndex({ problem_id: 1 }),
         listCollection.createIndex({ modified: -1 }),
+        listCollection.createIndex({ queries: 1 }),
+        listCollection.createIndex({ upstreamStatus: 1, lastSeenAt: 1 }),
         detailCollection.createIndex({ slug: 1 }, { unique: true }),
         detailCollection.createIndex({ id: 1 }),
         detailCollection.createIndex({ modified: -1 }),
+        detailCollection.createIndex({ upstreamStatus: 1 }),
+        historyCollection.createIndex({ slug: 1, revision: -1 }, { unique: true }),
+        questionCollection.createIndex({ slug: 1 }, { unique: true }),
+        questionCollection.createIndex({ problemType: 1, valid: 1 }),
+        questionCollection.createIndex({ upstreamStatus: 1 }),
         stateCollection.createIndex({ _id: 1 }),
-        errorCollection.createIndex({ createdAt: -1 })
+        errorCollection.createIndex({ createdAt: -1 }),
+        errorCollection.createIndex({ type: 1, resolved: 1, createdAt: 1 }),
+        errorCollection.createIndex({ type: 1, slug: 1 }),
+        assetCollection.createIndex({ hash: 1 }, { unique: true }),
+        assetCollection.createIndex({ sourceUrls: 1 }),
+        tombstoneCollection.createIndex({ at: -1 }),
+        tombstoneCollection.createIndex({ slug: 1, at: -1 })
     ]);
 };
 
-module.exports = { connect, getCollections, ensureIndexes };
+module.exports = { connect, close, getCollections, ensureIndexes };
 
@@ -0,0 +1,54 @@
+const { getCollections } = require("./db");
+const { requestWithRetry } = require("./api");
+const { getSource } = require("./sources");
+const { processDetailAssets } = require("./assetSync");
+const { buildDetailDoc } = require("./documents");
+const { saveDetail } = require("./history");
+const { saveQuestion } = require("./normalize");
+const { withLogContext } = require("./logger");
+
+const summarizeAssets = (records) => {
+    const failed = records.filter((record) => record.status === "failed");
+    return {
+        assets: records.length,
+        failedAssets: failed.length,
+        failedStatus: failed[0]?.errorStatus ?? null
+    };
+};
+
+const syncDetail = (slug, { recordError = true } = {}) =>
+    withLogContext({ slug }, async () => {
+        const { listCollection } = await getCollections();
+        const source = getSource();
+        const detailData = await requestWithRetry(
+            () => source.fetchDetail(slug),
+            { type: "detail", slug, url: source.detailUrl(slug) },
+            { recordError }
+        );
+        const records = await processDetailAssets(detailData, slug);
+        const listDoc = await listCollection.findOne(
+            { slug },
+            { projection: { listOffset: 1, listPageNumber: 1 } }
+        );
+        const detailDoc = buildDetailDoc(slug, detailData, {
+            offset: listDoc?.listOffset ?? null,
+            page_number: listDoc?.listPageNumber ?? null
+        });
+        const { revision, changed } = await saveDetail(detailDoc);
+        await saveQuestion(detailDoc);
+        return { slug, revision, changed, ...summarizeAssets(records) };
+    });
+
+const resyncAssets = (slug) =>
+    withLogContext({ slug }, async () => {
+        const { detailCollection } = await getCollections();
+        const existing = await detailCollection.findOne({ slug });
+        if (!existing) return null;
+        const { _id, ...doc } = existing;
+        const records = await processDetailAssets(doc.raw, slug);
+        const { revision, changed } = await saveDetail(doc);
+        await saveQuestion(doc);
+        return { slug, revision, changed, ...summarizeAssets(records) };
+    });
+
+module.exports = { syncDetail, resyncAssets };
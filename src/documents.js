@@ -0,0 +1,27 @@
+const buildListDoc = (item, meta) => ({
+    slug: item.slug,
+    problem_id: item.problem_id || item.django_id || null,
+    category: item.category || null,
+    status: item.status || null,
+    level: item.level || null,
+    modified: item.modified ? new Date(item.modified) : null,
+    fetchedAt: new Date(),
+    listOffset: meta.offset ?? null,
+    listPageNumber: meta.page_number ?? null,
+    raw: item
+});
+
+const buildDetailDoc = (slug, data, meta) => ({
+    slug,
+    id: data.id || null,
+    category: data.category || null,
+    status: data.status || null,
+    level: data.level || null,
+    modified: data.modified ? new Date(data.modified) : null,
+    fetchedAt: new Date(),
+    listOffset: meta.offset ?? null,
+    listPageNumber: meta.page_number ?? null,
+    raw: data
+});
+
+module.exports = { buildListDoc, buildDetailDoc };
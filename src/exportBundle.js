@@ -0,0 +1,227 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+const tar = require("tar");
+const { BSON } = require("mongodb");
+const config = require("./config");
+const { getCollections } = require("./db");
+const { getStorage, downloadToFile, hashFile } = require("./storage");
+const { createLogger } = require("./logger");
+const { activeFilter } = require("./tombstones");
+
+const BUNDLE_FORMAT = "question-sync-bundle";
+const BUNDLE_VERSION = 1;
+const ASSET_DIR = "assets";
+const LIST_FILE = "questions_list.ndjson";
+const DETAIL_FILE = "questions_detail.ndjson";
+const MANIFEST_FILE = "manifest.json";
+const MIRRORED_STATUSES = new Set(["uploaded", "downloaded"]);
+// Keeps each slug $in well under the BSON document limit on large banks.
+const SLUG_BATCH = 1000;
+
+const logger = createLogger("export");
+
+const buildDetailFilter = ({ levels, categories, problemTypes, includeTombstoned }) => {
+    const filter = includeTombstoned ? {} : activeFilter();
+    if (levels?.length) filter.level = { $in: levels };
+    if (categories?.length) filter.category = { $in: categories };
+    if (problemTypes?.length) filter["raw.problem_type"] = { $in: problemTypes };
+    return filter;
+};
+
+const inBatches = async function* (cursor, size = SLUG_BATCH) {
+    let batch = [];
+    for await (const doc of cursor) {
+        batch.push(doc.slug);
+        if (batch.length >= size) {
+            yield batch;
+            batch = [];
+        }
+    }
+    if (batch.length) yield batch;
+};
+
+// --query matches the list items' queries tags, which only query-aware syncs write.
+const findSelectedDetails = async function* (filters) {
+    const { listCollection, detailCollection } = await getCollections();
+    const detailFilter = buildDetailFilter(filters);
+    const projection = { slug: 1, "raw.extra_data.asset_sync.files": 1 };
+    if (!filters.queries?.length) {
+        yield* detailCollection.find(detailFilter, { projection });
+        return;
+    }
+    if (await listCollection.findOne({ queries: { $exists: false } }, { projection: { _id: 1 } })) {
+        logger.warn("Some list items carry no query tags and cannot match --query; re-sync them to tag them.");
+    }
+    const tagged = listCollection.find({ queries: { $in: filters.queries } }, { projection: { slug: 1 } });
+    for await (const slugs of inBatches(tagged)) {
+        yield* detailCollection.find({ ...detailFilter, slug: { $in: slugs } }, { projection });
+    }
+};
+
+const collectAssets = (detailDoc, assets) => {
+    const files = detailDoc.raw?.extra_data?.asset_sync?.files || [];
+    for (const file of files) {
+        if (!file?.key || !MIRRORED_STATUSES.has(file.status)) continue;
+        if (assets.has(file.key)) continue;
+        assets.set(file.key, {
+            key: file.key,
+            sourceUrl: file.sourceUrl || null,
+            url: file.s3Url || null,
+            contentType: file.contentType || null,
+            localPath: file.localPath || null
+        });
+    }
+};
+
+const fetchAsset = async (asset, destPath) => {
+    if (asset.localPath && fs.existsSync(asset.localPath)) {
+        await fs.promises.mkdir(path.dirname(destPath), { recursive: true });
+        await fs.promises.copyFile(asset.localPath, destPath);
+        return destPath;
+    }
+    const storage = getStorage();
+    if (storage && (await storage.exists(asset.key))) {
+        return storage.download(asset.key, destPath);
+    }
+    if (asset.url && /^https?:\/\//i.test(asset.url)) {
+        return downloadToFile(asset.url, destPath);
+    }
+    return null;
+};
+
+const rewriteAssetUrls = (serialized, assets) => {
+    let updated = serialized;
+    for (const asset of assets) {
+        if (!asset.url || !asset.path) continue;
+        updated = updated.split(asset.url).join(asset.path);
+    }
+    return updated;
+};
+
+const writeLine = async (stream, line) => {
+    if (!stream.write(`${line}\n`)) await once(stream, "drain");
+};
+
+const closeStream = (stream) =>
+    new Promise((resolve, reject) => {
+        stream.on("error", reject);
+        stream.end(resolve);
+    });
+
+const writeBatched = async (collection, slugs, stream, serialize) => {
+    let count = 0;
+    for (let index = 0; index < slugs.length; index += SLUG_BATCH) {
+        const cursor = collection.find(
+            { slug: { $in: slugs.slice(index, index + SLUG_BATCH) } },
+            { projection: { _id: 0 } }
+        );
+        for await (const doc of cursor) {
+            await writeLine(stream, serialize(BSON.EJSON.stringify(doc, { relaxed: true })));
+            count += 1;
+        }
+    }
+    await closeStream(stream);
+    return count;
+};
+
+const describeFile = async (root, relativePath) => {
+    const fullPath = path.join(root, relativePath);
+    const stats = await fs.promises.stat(fullPath);
+    return { path: relativePath, size: stats.size, sha256: await hashFile(fullPath) };
+};
+
+const exportBundle = async ({ outFile, relativeUrls = false, ...filters }) => {
+    const { listCollection, detailCollection } = await getCollections();
+    const stagingDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "question-sync-export-"));
+    try {
+        const assets = new Map();
+        const slugs = [];
+        for await (const doc of findSelectedDetails(filters)) {
+            slugs.push(doc.slug);
+            collectAssets(doc, assets);
+        }
+        logger.info("Export selection resolved.", { details: slugs.length, assets: assets.size });
+
+        const assetEntries = [];
+        const missingAssets = [];
+        for (const asset of assets.values()) {
+            const relativePath = path.posix.join(ASSET_DIR, asset.key);
+            let fetched = null;
+            try {
+                fetched = await fetchAsset(asset, path.join(stagingDir, relativePath));
+            } catch (error) {
+                logger.warn("Asset export failed.", { key: asset.key, message: error.message });
+            }
+            if (!fetched) {
+                missingAssets.push({ key: asset.key, url: asset.url, sourceUrl: asset.sourceUrl });
+                continue;
+            }
+            assetEntries.push({
+                ...(await describeFile(stagingDir, relativePath)),
+                key: asset.key,
+                sourceUrl: asset.sourceUrl,
+                url: asset.url,
+                contentType: asset.contentType
+            });
+        }
+
+        const listCount = await writeBatched(
+            listCollection,
+            slugs,
+            fs.createWriteStream(path.join(stagingDir, LIST_FILE)),
+            (line) => line
+        );
+        const detailCount = await writeBatched(
+            detailCollection,
+            slugs,
+            fs.createWriteStream(path.join(stagingDir, DETAIL_FILE)),
+            (line) => (relativeUrls ? rewriteAssetUrls(line, assetEntries) : line)
+        );
+
+        const manifest = {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            createdAt: new Date().toISOString(),
+            filters,
+            relativeUrls,
+            sourceBaseUrl: config.storageBaseUrl || null,
+            counts: {
+                list: listCount,
+                detail: detailCount,
+                assets: assetEntries.length,
+                missingAssets: missingAssets.length
+            },
+            files: [
+                await describeFile(stagingDir, LIST_FILE),
+                await describeFile(stagingDir, DETAIL_FILE)
+            ],
+            assets: assetEntries,
+            missingAssets
+        };
+        await fs.promises.writeFile(
+            path.join(stagingDir, MANIFEST_FILE),
+            `${JSON.stringify(manifest, null, 2)}\n`
+        );
+
+        await fs.promises.mkdir(path.dirname(path.resolve(outFile)), { recursive: true });
+        const entries = [MANIFEST_FILE, LIST_FILE, DETAIL_FILE];
+        if (assetEntries.length) entries.push(ASSET_DIR);
+        await tar.create({ gzip: true, file: outFile, cwd: stagingDir, portable: true }, entries);
+        logger.info("Export bundle written.", { file: outFile, ...manifest.counts });
+        return manifest;
+    } finally {
+        await fs.promises.rm(stagingDir, { recursive: true, force: true });
+    }
+};
+
+module.exports = {
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+    ASSET_DIR,
+    LIST_FILE,
+    DETAIL_FILE,
+    MANIFEST_FILE,
+    exportBundle
+};
@@ -0,0 +1,114 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const { getCollections } = require("./db");
+const { getStorage } = require("./storage");
+const { walkFiles } = require("./storage/filesystem");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("gc-assets");
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const getKeyPrefix = () => `${config.assetKeyPrefix || "assets"}/`;
+
+// Every key a stored detail still points at, via its asset log or a rewritten URL.
+const collectReferencedKeys = async (storage) => {
+    const { detailCollection } = await getCollections();
+    const keyPrefix = getKeyPrefix();
+    const referenced = new Set();
+    const urlPrefix = storage ? storage.publicUrl("_").slice(0, -1) : null;
+    const urlPattern = urlPrefix
+        ? new RegExp(`${escapeRegExp(urlPrefix)}(${escapeRegExp(keyPrefix)}[^"'\\s)\\\\?#]+)`, "g")
+        : null;
+
+    const cursor = detailCollection.find({}, { projection: { raw: 1 } });
+    for await (const doc of cursor) {
+        for (const file of doc.raw?.extra_data?.asset_sync?.files || []) {
+            if (file?.key) referenced.add(file.key);
+        }
+        if (!urlPattern) continue;
+        const serialized = JSON.stringify(doc.raw || {});
+        for (const match of serialized.matchAll(urlPattern)) {
+            referenced.add(decodeURI(match[1]));
+        }
+    }
+    return referenced;
+};
+
+const createTally = () => ({ scanned: 0, orphans: 0, recent: 0, bytes: 0, deleted: 0 });
+
+const sweep = async ({ source, objects, referenced, cutoff, dryRun, remove, onOrphan }) => {
+    const tally = createTally();
+    for await (const object of objects) {
+        tally.scanned += 1;
+        if (referenced.has(object.key)) continue;
+        if (object.lastModified && new Date(object.lastModified) > cutoff) {
+            // Possibly written by a run that has not saved its detail yet.
+            tally.recent += 1;
+            continue;
+        }
+        tally.orphans += 1;
+        tally.bytes += object.size || 0;
+        onOrphan({ source, key: object.key, size: object.size ?? null, lastModified: object.lastModified || null });
+        if (dryRun) continue;
+        try {
+            await remove(object);
+            tally.deleted += 1;
+        } catch (error) {
+            logger.warn("Orphan delete failed.", { source, key: object.key, message: error.message });
+        }
+    }
+    return tally;
+};
+
+const gcAssets = async ({ dryRun = true, minAgeHours = 24, onOrphan = () => {} } = {}) => {
+    const { assetCollection } = await getCollections();
+    const storage = getStorage();
+    const keyPrefix = getKeyPrefix();
+    const cutoff = new Date(Date.now() - minAgeHours * 3600 * 1000);
+    const referenced = await collectReferencedKeys(storage);
+    logger.info("Referenced asset keys collected.", { referenced: referenced.size });
+
+    const removedKeys = [];
+    const summary = { dryRun, minAgeHours, referenced: referenced.size, storage: null, local: null };
+    if (storage) {
+        summary.storage = await sweep({
+            source: storage.name,
+            objects: storage.list(keyPrefix),
+            referenced,
+            cutoff,
+            dryRun,
+            remove: async (object) => {
+                await storage.remove(object.key);
+                removedKeys.push(object.key);
+            },
+            onOrphan
+        });
+    }
+    const localRoot = path.resolve(config.assetDownloadDir);
+    if (!storage || storage.root !== localRoot) {
+        summary.local = await sweep({
+            source: "local",
+            objects: walkFiles(localRoot, keyPrefix),
+            referenced,
+            cutoff,
+            dryRun,
+            remove: async (object) => {
+                await fs.promises.rm(object.path, { force: true });
+                // Local copies are only a cache when a storage backend holds the canonical object.
+                if (!storage) removedKeys.push(object.key);
+            },
+            onOrphan
+        });
+    }
+    if (removedKeys.length) {
+        // Drop the dedupe records too, or later runs would reuse objects that no longer exist.
+        const result = await assetCollection.deleteMany({ key: { $in: removedKeys } });
+        summary.assetRecordsDeleted = result.deletedCount || 0;
+    }
+    logger.info("Asset garbage collection finished.", summary);
+    return summary;
+};
+
+module.exports = { collectReferencedKeys, gcAssets };
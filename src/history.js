@@ -0,0 +1,168 @@
+const { getCollections } = require("./db");
+const { recordDetailSaved } = require("./metrics");
+
+const VOLATILE_FIELDS = new Set([
+    "_id",
+    "fetchedAt",
+    "listOffset",
+    "listPageNumber",
+    "revision",
+    "upstreamStatus",
+    "upstreamStatusAt"
+]);
+
+const toPlain = (value) => JSON.parse(JSON.stringify(value ?? null));
+
+const stripVolatile = (doc) => {
+    const plain = toPlain(doc) || {};
+    for (const field of VOLATILE_FIELDS) delete plain[field];
+    if (plain.raw?.extra_data?.asset_sync) {
+        delete plain.raw.extra_data.asset_sync;
+    }
+    return plain;
+};
+
+const isObject = (value) => value !== null && typeof value === "object";
+
+const joinPath = (base, key) => (base ? `${base}.${key}` : `${key}`);
+
+const diffJson = (before, after, basePath = "", changes = []) => {
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const length = Math.max(before.length, after.length);
+        for (let i = 0; i < length; i += 1) {
+            const itemPath = joinPath(basePath, i);
+            if (i >= before.length) {
+                changes.push({ op: "add", path: itemPath, to: after[i] });
+            } else if (i >= after.length) {
+                changes.push({ op: "remove", path: itemPath, from: before[i] });
+            } else {
+                diffJson(before[i], after[i], itemPath, changes);
+            }
+        }
+        return changes;
+    }
+    if (
+        isObject(before) &&
+        isObject(after) &&
+        !Array.isArray(before) &&
+        !Array.isArray(after)
+    ) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        for (const key of keys) {
+            const keyPath = joinPath(basePath, key);
+            if (!(key in before)) {
+                changes.push({ op: "add", path: keyPath, to: after[key] });
+            } else if (!(key in after)) {
+                changes.push({ op: "remove", path: keyPath, from: before[key] });
+            } else {
+                diffJson(before[key], after[key], keyPath, changes);
+            }
+        }
+        return changes;
+    }
+    if (before !== after) {
+        changes.push({ op: "replace", path: basePath, from: before, to: after });
+    }
+    return changes;
+};
+
+const saveDetail = async (doc) => {
+    const { detailCollection, historyCollection } = await getCollections();
+    const previous = await detailCollection.findOne({ slug: doc.slug });
+    if (!previous) {
+        const result = await detailCollection.updateOne(
+            { slug: doc.slug },
+            { $set: { ...doc, revision: 1 } },
+            { upsert: true }
+        );
+        recordDetailSaved(true);
+        return { result, revision: 1, changed: true, changes: [] };
+    }
+
+    const revision = previous.revision || 1;
+    const changes = diffJson(stripVolatile(previous), stripVolatile(doc));
+    if (!changes.length) {
+        const result = await detailCollection.updateOne(
+            { slug: doc.slug },
+            { $set: { ...doc, revision } }
+        );
+        recordDetailSaved(false);
+        return { result, revision, changed: false, changes };
+    }
+
+    const { _id, ...snapshot } = previous;
+    // Upserted so a crash between these two writes does not wedge the slug on the unique index:
+    // the retry finds revision N already archived and just moves the detail on to N + 1.
+    await historyCollection.updateOne(
+        { slug: doc.slug, revision },
+        {
+            $setOnInsert: {
+                snapshot: { ...snapshot, revision },
+                diff: changes,
+                supersededAt: new Date()
+            }
+        },
+        { upsert: true }
+    );
+    const result = await detailCollection.updateOne(
+        { slug: doc.slug },
+        { $set: { ...doc, revision: revision + 1 } }
+    );
+    recordDetailSaved(true);
+    return { result, revision: revision + 1, changed: true, changes };
+};
+
+const listRevisions = async (slug) => {
+    const { detailCollection, historyCollection } = await getCollections();
+    const [current, history] = await Promise.all([
+        detailCollection.findOne({ slug }, { projection: { raw: 0 } }),
+        historyCollection
+            .find({ slug }, { projection: { "snapshot.raw": 0 } })
+            .sort({ revision: 1 })
+            .toArray()
+    ]);
+    const revisions = history.map((entry) => ({
+        revision: entry.revision,
+        modified: entry.snapshot?.modified ?? null,
+        fetchedAt: entry.snapshot?.fetchedAt ?? null,
+        supersededAt: entry.supersededAt,
+        changedFields: entry.diff.length,
+        current: false
+    }));
+    if (current) {
+        revisions.push({
+            revision: current.revision || 1,
+            modified: current.modified,
+            fetchedAt: current.fetchedAt,
+            changedFields: 0,
+            current: true
+        });
+    }
+    return revisions;
+};
+
+const getRevision = async (slug, revision) => {
+    const { detailCollection, historyCollection } = await getCollections();
+    const current = await detailCollection.findOne({ slug });
+    if (current && (current.revision || 1) === revision) return current;
+    const entry = await historyCollection.findOne({ slug, revision });
+    return entry ? entry.snapshot : null;
+};
+
+const diffRevisions = async (slug, fromRevision, toRevision) => {
+    const [from, to] = await Promise.all([
+        getRevision(slug, fromRevision),
+        getRevision(slug, toRevision)
+    ]);
+    if (!from) throw new Error(`Revision ${fromRevision} not found for ${slug}.`);
+    if (!to) throw new Error(`Revision ${toRevision} not found for ${slug}.`);
+    return diffJson(stripVolatile(from), stripVolatile(to));
+};
+
+module.exports = {
+    diffJson,
+    saveDetail,
+    listRevisions,
+    getRevision,
+    diffRevisions
+};
@@ -0,0 +1,191 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const tar = require("tar");
+const { BSON } = require("mongodb");
+const config = require("./config");
+const { getCollections } = require("./db");
+const { getStorage, hashFile } = require("./storage");
+const { expectedContentType } = require("./storage/integrity");
+const { saveDetail } = require("./history");
+const { saveQuestion } = require("./normalize");
+const {
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+    LIST_FILE,
+    DETAIL_FILE,
+    MANIFEST_FILE
+} = require("./exportBundle");
+const { createLogger } = require("./logger");
+
+const CONFLICT_POLICIES = ["skip", "overwrite", "newer"];
+
+const logger = createLogger("import");
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const verifyFile = async (root, entry) => {
+    const fullPath = path.join(root, entry.path);
+    const actual = await hashFile(fullPath);
+    if (actual !== entry.sha256) {
+        throw new Error(`Checksum mismatch for ${entry.path}.`);
+    }
+    return fullPath;
+};
+
+const readManifest = async (root) => {
+    const manifest = JSON.parse(
+        await fs.promises.readFile(path.join(root, MANIFEST_FILE), "utf8")
+    );
+    if (manifest.format !== BUNDLE_FORMAT) {
+        throw new Error("Not a question-sync export bundle.");
+    }
+    if (manifest.version > BUNDLE_VERSION) {
+        throw new Error(`Unsupported bundle version ${manifest.version}.`);
+    }
+    return manifest;
+};
+
+const uploadAssets = async (root, manifest) => {
+    const replacements = new Map();
+    if (!manifest.assets.length) return replacements;
+    const storage = getStorage();
+    if (!storage) {
+        throw new Error("Bundle contains assets but no storage backend is enabled.");
+    }
+    const { assetCollection } = await getCollections();
+    for (const asset of manifest.assets) {
+        const filePath = await verifyFile(root, asset);
+        // Older bundles carry no content type; fall back to the key's extension like a mirror would.
+        const contentType = asset.contentType || expectedContentType(asset.key);
+        const url = await storage.upload(asset.key, filePath, { contentType, sha256: asset.sha256 });
+        if (asset.url && asset.url !== url) replacements.set(asset.url, url);
+        replacements.set(asset.path, url);
+        const now = new Date();
+        const update = {
+            $set: { key: asset.key, s3Url: url, status: "uploaded", contentType, lastSeenAt: now },
+            $setOnInsert: { firstSeenAt: now, size: asset.size }
+        };
+        if (asset.sourceUrl) update.$addToSet = { sourceUrls: asset.sourceUrl };
+        await assetCollection.updateOne({ hash: asset.sha256 }, update, { upsert: true });
+    }
+    logger.info("Bundle assets uploaded.", { assets: manifest.assets.length, backend: storage.name });
+    return replacements;
+};
+
+const buildRewriter = (replacements) => {
+    if (!replacements.size) return (line) => line;
+    const pattern = new RegExp(
+        [...replacements.keys()]
+            .sort((a, b) => b.length - a.length)
+            .map(escapeRegExp)
+            .join("|"),
+        "g"
+    );
+    return (line) => line.replace(pattern, (match) => replacements.get(match));
+};
+
+const shouldWrite = (policy, existing, incoming) => {
+    if (!existing) return true;
+    if (policy === "overwrite") return true;
+    if (policy === "skip") return false;
+    if (!existing.modified) return true;
+    if (!incoming.modified) return false;
+    return new Date(incoming.modified).getTime() > new Date(existing.modified).getTime();
+};
+
+const readDocs = async function* (filePath, rewrite) {
+    const lines = readline.createInterface({
+        input: fs.createReadStream(filePath),
+        crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        yield BSON.EJSON.parse(rewrite(line), { relaxed: true });
+    }
+};
+
+const importList = async (filePath, rewrite, policy) => {
+    const { listCollection } = await getCollections();
+    const counts = { inserted: 0, updated: 0, skipped: 0 };
+    for await (const doc of readDocs(filePath, rewrite)) {
+        const existing = await listCollection.findOne(
+            { slug: doc.slug },
+            { projection: { modified: 1 } }
+        );
+        if (!shouldWrite(policy, existing, doc)) {
+            counts.skipped += 1;
+            continue;
+        }
+        const { queries, ...fields } = doc;
+        const update = { $set: fields };
+        if (queries?.length) update.$addToSet = { queries: { $each: queries } };
+        await listCollection.updateOne({ slug: doc.slug }, update, { upsert: true });
+        counts[existing ? "updated" : "inserted"] += 1;
+    }
+    return counts;
+};
+
+// localPath points into the exporting machine's download dir; here the stored object is the copy.
+const clearLocalPaths = (doc) => {
+    for (const file of doc.raw?.extra_data?.asset_sync?.files || []) {
+        if (file) file.localPath = null;
+    }
+};
+
+const importDetail = async (filePath, rewrite, policy) => {
+    const { detailCollection } = await getCollections();
+    const counts = { inserted: 0, updated: 0, skipped: 0 };
+    for await (const doc of readDocs(filePath, rewrite)) {
+        const existing = await detailCollection.findOne(
+            { slug: doc.slug },
+            { projection: { modified: 1 } }
+        );
+        if (!shouldWrite(policy, existing, doc)) {
+            counts.skipped += 1;
+            continue;
+        }
+        const { revision, ...fields } = doc;
+        clearLocalPaths(fields);
+        await saveDetail(fields);
+        await saveQuestion(fields);
+        counts[existing ? "updated" : "inserted"] += 1;
+    }
+    return counts;
+};
+
+const importBundle = async ({ file, conflict = "skip" }) => {
+    if (!CONFLICT_POLICIES.includes(conflict)) {
+        throw new Error(`Conflict policy must be one of: ${CONFLICT_POLICIES.join(", ")}.`);
+    }
+    const stagingDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "question-sync-import-"));
+    try {
+        await tar.extract({ file, cwd: stagingDir });
+        const manifest = await readManifest(stagingDir);
+        const [listEntry, detailEntry] = [LIST_FILE, DETAIL_FILE].map((name) =>
+            manifest.files.find((entry) => entry.path === name)
+        );
+        if (!listEntry || !detailEntry) throw new Error("Bundle manifest is incomplete.");
+        const listPath = await verifyFile(stagingDir, listEntry);
+        const detailPath = await verifyFile(stagingDir, detailEntry);
+        logger.info("Bundle verified.", { file, ...manifest.counts });
+
+        const rewrite = buildRewriter(await uploadAssets(stagingDir, manifest));
+        const list = await importList(listPath, rewrite, conflict);
+        const detail = await importDetail(detailPath, rewrite, conflict);
+        const summary = {
+            conflict,
+            targetBaseUrl: config.storageBaseUrl || null,
+            assets: manifest.assets.length,
+            list,
+            detail
+        };
+        logger.info("Bundle imported.", summary);
+        return summary;
+    } finally {
+        await fs.promises.rm(stagingDir, { recursive: true, force: true });
+    }
+};
+
+module.exports = { CONFLICT_POLICIES, importBundle };
@@ -0,0 +1,127 @@
+const os = require("os");
+const crypto = require("crypto");
+const config = require("./config");
+const { getCollections } = require("./db");
+const { runId, createLogger } = require("./logger");
+const { requestStop } = require("./shutdown");
+
+const logger = createLogger("lock");
+
+const LOCK_HELD = "LOCK_HELD";
+const LOCK_LOST = "lock_lost";
+
+const ownerId = crypto.randomUUID();
+
+const isLive = (lock, now = new Date()) => Boolean(lock?.expiresAt && lock.expiresAt > now);
+
+const buildLease = (now) => ({
+    ownerId,
+    host: os.hostname(),
+    pid: process.pid,
+    runId,
+    acquiredAt: now,
+    heartbeatAt: now,
+    expiresAt: new Date(now.getTime() + config.lockTtlSec * 1000)
+});
+
+const describeLock = (lock) =>
+    `${lock.host || "?"} pid ${lock.pid ?? "?"} (owner ${lock.ownerId}, expires ${new Date(lock.expiresAt).toISOString()})`;
+
+const getLock = async () => {
+    const { stateCollection } = await getCollections();
+    const state = await stateCollection.findOne(
+        { _id: config.stateDocId },
+        { projection: { lock: 1 } }
+    );
+    return state?.lock || null;
+};
+
+const acquireLock = async ({ steal = false } = {}) => {
+    const { stateCollection } = await getCollections();
+    const now = new Date();
+    const filter = steal
+        ? { _id: config.stateDocId }
+        : {
+            _id: config.stateDocId,
+            $or: [
+                { lock: null },
+                { "lock.expiresAt": { $lte: now } },
+                { "lock.ownerId": ownerId }
+            ]
+        };
+    try {
+        const previous = await stateCollection.findOneAndUpdate(
+            filter,
+            { $set: { lock: buildLease(now) } },
+            { upsert: true, returnDocument: "before", projection: { lock: 1 } }
+        );
+        const previousLock = previous?.lock;
+        if (steal && isLive(previousLock, now) && previousLock.ownerId !== ownerId) {
+            logger.warn("Stole run lock from a live owner.", { previous: previousLock });
+        }
+    } catch (error) {
+        // The filter missed an existing document, so the upsert collided on _id: someone holds it.
+        if (error.code !== 11000) throw error;
+        const holder = await getLock();
+        const held = new Error(
+            `Sync state ${JSON.stringify(config.stateDocId)} is locked by ${holder ? describeLock(holder) : "another process"}. ` +
+            "Use --steal-lock if that process is dead."
+        );
+        held.code = LOCK_HELD;
+        held.holder = holder;
+        throw held;
+    }
+    logger.info("Run lock acquired.", { ownerId, ttlSec: config.lockTtlSec });
+};
+
+const renewLock = async () => {
+    const { stateCollection } = await getCollections();
+    const now = new Date();
+    const result = await stateCollection.updateOne(
+        { _id: config.stateDocId, "lock.ownerId": ownerId },
+        {
+            $set: {
+                "lock.heartbeatAt": now,
+                "lock.expiresAt": new Date(now.getTime() + config.lockTtlSec * 1000)
+            }
+        }
+    );
+    return result.matchedCount > 0;
+};
+
+const releaseLock = async () => {
+    const { stateCollection } = await getCollections();
+    await stateCollection.updateOne(
+        { _id: config.stateDocId, "lock.ownerId": ownerId },
+        { $set: { lock: null } }
+    );
+    logger.debug("Run lock released.", { ownerId });
+};
+
+// Renews the lease in the background; losing it stops the sync so two owners never write at once.
+const startHeartbeat = () => {
+    const intervalMs = Math.max(1, config.lockHeartbeatSec) * 1000;
+    const timer = setInterval(async () => {
+        try {
+            if (await renewLock()) return;
+            logger.error("Run lock lost to another owner; stopping.", { ownerId });
+            requestStop(LOCK_LOST);
+        } catch (error) {
+            logger.warn("Run lock heartbeat failed.", { message: error.message });
+        }
+    }, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+};
+
+module.exports = {
+    LOCK_HELD,
+    LOCK_LOST,
+    ownerId,
+    isLive,
+    describeLock,
+    getLock,
+    acquireLock,
+    releaseLock,
+    startHeartbeat
+};
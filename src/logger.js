@@ -0,0 +1,87 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const config = require("./config");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const runId = process.env.RUN_ID || crypto.randomUUID();
+const contextStorage = new AsyncLocalStorage();
+
+let fileSize = null;
+
+const levelEnabled = (level) =>
+    LEVELS[level] >= (LEVELS[String(config.logLevel).toLowerCase()] ?? LEVELS.info);
+
+const rotateLogFile = () => {
+    const maxFiles = Math.max(1, config.logFileMaxFiles);
+    for (let i = maxFiles - 1; i >= 1; i -= 1) {
+        const from = i === 1 ? config.logFile : `${config.logFile}.${i - 1}`;
+        if (fs.existsSync(from)) fs.renameSync(from, `${config.logFile}.${i}`);
+    }
+    fileSize = 0;
+};
+
+const writeToFile = (line) => {
+    if (!config.logFile) return;
+    try {
+        if (fileSize === null) {
+            fs.mkdirSync(path.dirname(path.resolve(config.logFile)), { recursive: true });
+            fileSize = fs.existsSync(config.logFile) ? fs.statSync(config.logFile).size : 0;
+        }
+        const bytes = Buffer.byteLength(line);
+        if (config.logFileMaxBytes > 0 && fileSize + bytes > config.logFileMaxBytes && fileSize > 0) {
+            rotateLogFile();
+        }
+        fs.appendFileSync(config.logFile, line);
+        fileSize += bytes;
+    } catch (_error) {
+        // logging must never break the sync
+    }
+};
+
+const buildFields = (bindings, meta) => {
+    const context = contextStorage.getStore() || {};
+    const fields = { ...context, ...bindings, ...(meta || {}) };
+    for (const key of Object.keys(fields)) {
+        if (fields[key] === undefined) delete fields[key];
+    }
+    return fields;
+};
+
+const formatText = (stamp, level, namespace, message, fields) => {
+    const prefix = `[${stamp}] ${level.toUpperCase()} ${namespace}: ${message}`;
+    return Object.keys(fields).length ? `${prefix} ${JSON.stringify(fields)}\n` : `${prefix}\n`;
+};
+
+const formatJson = (stamp, level, namespace, message, fields) =>
+    `${JSON.stringify({ time: stamp, level, namespace, msg: message, runId, ...fields })}\n`;
+
+const write = (level, namespace, bindings, message, meta) => {
+    if (!levelEnabled(level)) return;
+    const stamp = new Date().toISOString();
+    const fields = buildFields(bindings, meta);
+    const line =
+        config.logFormat === "json"
+            ? formatJson(stamp, level, namespace, message, fields)
+            : formatText(stamp, level, namespace, message, { runId, ...fields });
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(line);
+    writeToFile(line);
+};
+
+const createLogger = (namespace, bindings = {}) => ({
+    debug: (message, meta = null) => write("debug", namespace, bindings, message, meta),
+    info: (message, meta = null) => write("info", namespace, bindings, message, meta),
+    warn: (message, meta = null) => write("warn", namespace, bindings, message, meta),
+    error: (message, meta = null) => write("error", namespace, bindings, message, meta),
+    isDebugEnabled: () => levelEnabled("debug"),
+    child: (extra) => createLogger(namespace, { ...bindings, ...extra })
+});
+
+// Correlation fields (query, slug, offset) set here are attached to every line logged inside fn.
+const withLogContext = (fields, fn) =>
+    contextStorage.run({ ...(contextStorage.getStore() || {}), ...fields }, fn);
+
+module.exports = { runId, createLogger, withLogContext };
@@ -0,0 +1,87 @@
+const client = require("prom-client");
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: "question_sync_" });
+
+const upstreamRequests = new client.Counter({
+    name: "question_sync_upstream_requests_total",
+    help: "Upstream request attempts by request type and HTTP status.",
+    labelNames: ["type", "status"],
+    registers: [registry]
+});
+
+const upstreamFailures = new client.Counter({
+    name: "question_sync_upstream_failures_total",
+    help: "Upstream requests that failed after all retries.",
+    labelNames: ["type"],
+    registers: [registry]
+});
+
+const rateLimited = new client.Counter({
+    name: "question_sync_rate_limited_total",
+    help: "Upstream responses with HTTP 429.",
+    labelNames: ["type"],
+    registers: [registry]
+});
+
+const requestDuration = new client.Histogram({
+    name: "question_sync_request_duration_seconds",
+    help: "Upstream request attempt latency.",
+    labelNames: ["type"],
+    buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 30],
+    registers: [registry]
+});
+
+const assetResults = new client.Counter({
+    name: "question_sync_assets_total",
+    help: "Mirrored asset outcomes by status.",
+    labelNames: ["status"],
+    registers: [registry]
+});
+
+const detailsSaved = new client.Counter({
+    name: "question_sync_details_saved_total",
+    help: "Question details saved, labelled by whether the payload changed.",
+    labelNames: ["changed"],
+    registers: [registry]
+});
+
+const circuitOpen = new client.Gauge({
+    name: "question_sync_circuit_open",
+    help: "1 while the named circuit breaker is pausing upstream calls.",
+    labelNames: ["circuit"],
+    registers: [registry]
+});
+
+const recordRequest = (type, status, durationMs) => {
+    const label = type || "unknown";
+    upstreamRequests.inc({ type: label, status: status ? String(status) : "error" });
+    requestDuration.observe({ type: label }, durationMs / 1000);
+    if (status === 429) rateLimited.inc({ type: label });
+};
+
+const recordFailure = (type) => {
+    upstreamFailures.inc({ type: type || "unknown" });
+};
+
+const recordAsset = (record) => {
+    if (!record) return;
+    assetResults.inc({ status: record.reused ? "reused" : record.status });
+};
+
+const recordDetailSaved = (changed) => {
+    detailsSaved.inc({ changed: changed ? "true" : "false" });
+};
+
+const setCircuitOpen = (name, open) => {
+    circuitOpen.set({ circuit: name }, open ? 1 : 0);
+};
+
+module.exports = {
+    registry,
+    setCircuitOpen,
+    recordRequest,
+    recordFailure,
+    recordAsset,
+    recordDetailSaved
+};
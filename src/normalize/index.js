@@ -0,0 +1,76 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const config = require("../config");
+const { getCollections } = require("../db");
+const { SCHEMA_VERSION, questionSchema } = require("./schema");
+const { mapQuestion } = require("./mappers");
+
+let validate;
+
+const getValidator = () => {
+    if (validate) return validate;
+    const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+    addFormats(ajv);
+    validate = ajv.compile(questionSchema);
+    return validate;
+};
+
+const normalizeDetail = (slug, raw) => {
+    const question = mapQuestion(slug, raw || {});
+    const valid = getValidator()(question);
+    const errors = valid
+        ? []
+        : getValidator().errors.map((error) => ({
+              path: error.instancePath || "/",
+              message: error.message,
+              params: error.params
+          }));
+    return { question, valid, errors };
+};
+
+const saveQuestion = async (detailDoc) => {
+    if (!config.normalizeEnabled) return null;
+    const { questionCollection, errorCollection } = await getCollections();
+    const { question, valid, errors } = normalizeDetail(detailDoc.slug, detailDoc.raw);
+    await questionCollection.updateOne(
+        { slug: detailDoc.slug },
+        {
+            $set: {
+                ...question,
+                modified: detailDoc.modified || null,
+                valid,
+                validationErrors: errors,
+                normalizedAt: new Date()
+            }
+        },
+        { upsert: true }
+    );
+    const now = new Date();
+    if (valid) {
+        // A question that validates again closes what earlier runs recorded, like retry-errors does.
+        await errorCollection.updateMany(
+            { type: "normalize", slug: detailDoc.slug, resolved: { $ne: true } },
+            { $set: { resolved: true, resolvedAt: now } }
+        );
+    } else {
+        // One record per question, refreshed (and reopened) on each failing run.
+        await errorCollection.updateOne(
+            { type: "normalize", slug: detailDoc.slug },
+            {
+                $set: {
+                    resolved: false,
+                    resolvedAt: null,
+                    schemaVersion: SCHEMA_VERSION,
+                    message: `Normalized question failed validation (${errors.length} error(s)).`,
+                    data: errors,
+                    updatedAt: now
+                },
+                $setOnInsert: { createdAt: now }
+            },
+            { upsert: true }
+        );
+    }
+    return { valid, errors };
+};
+
+module.exports = { SCHEMA_VERSION, normalizeDetail, saveQuestion };
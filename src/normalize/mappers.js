@@ -0,0 +1,144 @@
+const { SCHEMA_VERSION, PROJECT_BASED_TYPES } = require("./schema");
+
+const isHttpUrl = (value) => typeof value === "string" && /^https?:\/\//i.test(value);
+
+const asString = (value) => {
+    if (value === undefined || value === null || value === "") return null;
+    return String(value);
+};
+
+const asDateString = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const mapTags = (raw) => {
+    const values = [...(raw.tags || []), ...(raw.topics || [])]
+        .map((tag) => (tag && typeof tag === "object" ? tag.name || tag.tag || tag.slug : tag))
+        .map(asString)
+        .filter(Boolean);
+    return Array.from(new Set(values));
+};
+
+const toCodeEntry = (language, value) => {
+    if (typeof value !== "string" || !value) return null;
+    return isHttpUrl(value)
+        ? { language, content: null, url: value }
+        : { language, content: value, url: null };
+};
+
+const mapCodeEntries = (source) => {
+    if (!source) return [];
+    if (Array.isArray(source)) {
+        return source
+            .map((entry) =>
+                toCodeEntry(
+                    asString(entry?.language || entry?.lang) || "unknown",
+                    entry?.code ?? entry?.content ?? entry?.url
+                )
+            )
+            .filter(Boolean);
+    }
+    if (typeof source === "object") {
+        return Object.entries(source)
+            .map(([language, value]) => toCodeEntry(language, value))
+            .filter(Boolean);
+    }
+    return [];
+};
+
+const mapAttachments = (raw) => {
+    const attachments = (Array.isArray(raw.attachments) ? raw.attachments : [])
+        .filter((item) => item && typeof item === "object")
+        .map((item) => ({
+            name: asString(item.name || item.filename || item.title),
+            url: item.s3_http_url || item.url,
+            kind: asString(item.type || item.kind),
+            private: false
+        }))
+        .filter((item) => isHttpUrl(item.url));
+    const privateAttachments = (
+        Array.isArray(raw.private_attachments) ? raw.private_attachments : []
+    )
+        .filter(isHttpUrl)
+        .map((url) => ({ name: null, url, kind: null, private: true }));
+    return [...attachments, ...privateAttachments];
+};
+
+const mapTests = (raw) => {
+    const source =
+        raw.test_cases || raw.testcases || raw.extra_data?.test_cases || [];
+    const cases = (Array.isArray(source) ? source : [])
+        .filter((item) => item && typeof item === "object")
+        .map((item) => ({
+            name: asString(item.name || item.title),
+            input: item.input ?? null,
+            output: item.output ?? item.expected_output ?? null,
+            hidden: Boolean(item.is_hidden ?? item.hidden ?? item.is_sample === false)
+        }));
+    const evaluation = raw.evaluation || raw.extra_data?.evaluation || null;
+    return {
+        cases,
+        evaluation: evaluation && typeof evaluation === "object" ? evaluation : null
+    };
+};
+
+const mapBase = (slug, raw) => ({
+    schemaVersion: SCHEMA_VERSION,
+    slug,
+    sourceId: raw.id ?? null,
+    problemType: asString(raw.problem_type) || "unknown",
+    title: asString(raw.title || raw.name) || slug,
+    description: { html: typeof raw.description === "string" ? raw.description : "" },
+    editorial: typeof raw.editorial === "string" && raw.editorial ? { html: raw.editorial } : null,
+    difficulty: asString(raw.level || raw.difficulty),
+    category: asString(raw.category),
+    status: asString(raw.status),
+    tags: mapTags(raw),
+    stubs: mapCodeEntries(raw.stubs),
+    sampleSolutions: mapCodeEntries(raw.sample_solutions),
+    attachments: mapAttachments(raw),
+    tests: mapTests(raw),
+    project: null,
+    sourceModified: asDateString(raw.modified)
+});
+
+const mapProjectBased = (slug, raw) => {
+    const question = mapBase(slug, raw);
+    const projectData = raw.extra_data?.project_based_problem_data || {};
+    const stubUrl = projectData.problem_stub_s3_location?.s3_http_url || null;
+    const solutionUrl = projectData.problem_solution_s3_location?.s3_http_url || null;
+    question.project = {
+        stubUrl,
+        solutionUrl,
+        templateUrl: isHttpUrl(raw.project_template) ? raw.project_template : null
+    };
+    if (stubUrl) question.stubs.push({ language: "project", content: null, url: stubUrl });
+    if (solutionUrl) {
+        question.sampleSolutions.push({ language: "project", content: null, url: solutionUrl });
+    }
+    return question;
+};
+
+const mapUix = (slug, raw) => {
+    const question = mapBase(slug, raw);
+    // UIX stubs and solutions are per-framework archives (see syncUixAssets), so keep URL entries only.
+    question.stubs = question.stubs.filter((entry) => entry.url);
+    question.sampleSolutions = question.sampleSolutions.filter((entry) => entry.url);
+    return question;
+};
+
+const MAPPERS = {
+    ...Object.fromEntries(PROJECT_BASED_TYPES.map((type) => [type, mapProjectBased])),
+    UIX: mapUix
+};
+
+const mapQuestion = (slug, raw) => {
+    const mapper =
+        MAPPERS[raw.problem_type] ||
+        (raw.extra_data?.project_based_problem_data ? mapProjectBased : mapBase);
+    return mapper(slug, raw);
+};
+
+module.exports = { mapQuestion, MAPPERS };
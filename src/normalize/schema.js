@@ -0,0 +1,114 @@
+const SCHEMA_VERSION = 1;
+
+const PROJECT_BASED_TYPES = ["PBT", "PBD", "PFE", "PFS"];
+
+const nullableString = { type: ["string", "null"] };
+
+const codeEntry = {
+    type: "object",
+    required: ["language"],
+    additionalProperties: false,
+    properties: {
+        language: { type: "string", minLength: 1 },
+        content: nullableString,
+        url: { type: ["string", "null"], format: "uri" }
+    },
+    anyOf: [
+        { properties: { content: { type: "string" } }, required: ["content"] },
+        { properties: { url: { type: "string" } }, required: ["url"] }
+    ]
+};
+
+const questionSchema = {
+    $id: "https://question-sync/schemas/question.json",
+    type: "object",
+    required: [
+        "schemaVersion",
+        "slug",
+        "problemType",
+        "title",
+        "description",
+        "difficulty",
+        "tags",
+        "stubs",
+        "sampleSolutions",
+        "attachments",
+        "tests"
+    ],
+    additionalProperties: false,
+    properties: {
+        schemaVersion: { const: SCHEMA_VERSION },
+        slug: { type: "string", minLength: 1 },
+        sourceId: { type: ["string", "integer", "null"] },
+        problemType: { type: "string", minLength: 1 },
+        title: { type: "string", minLength: 1 },
+        description: {
+            type: "object",
+            required: ["html"],
+            additionalProperties: false,
+            properties: { html: { type: "string" } }
+        },
+        editorial: {
+            type: ["object", "null"],
+            required: ["html"],
+            additionalProperties: false,
+            properties: { html: { type: "string" } }
+        },
+        difficulty: nullableString,
+        category: nullableString,
+        status: nullableString,
+        tags: { type: "array", items: { type: "string", minLength: 1 }, uniqueItems: true },
+        stubs: { type: "array", items: codeEntry },
+        sampleSolutions: { type: "array", items: codeEntry },
+        attachments: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["url", "private"],
+                additionalProperties: false,
+                properties: {
+                    name: nullableString,
+                    url: { type: "string", format: "uri" },
+                    kind: nullableString,
+                    private: { type: "boolean" }
+                }
+            }
+        },
+        tests: {
+            type: "object",
+            required: ["cases"],
+            additionalProperties: false,
+            properties: {
+                cases: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        required: ["hidden"],
+                        additionalProperties: false,
+                        properties: {
+                            name: nullableString,
+                            input: {},
+                            output: {},
+                            hidden: { type: "boolean" }
+                        }
+                    }
+                },
+                evaluation: { type: ["object", "null"] }
+            }
+        },
+        project: {
+            type: ["object", "null"],
+            additionalProperties: false,
+            properties: {
+                stubUrl: { type: ["string", "null"], format: "uri" },
+                solutionUrl: { type: ["string", "null"], format: "uri" },
+                templateUrl: { type: ["string", "null"], format: "uri" }
+            }
+        },
+        sourceModified: { type: ["string", "null"], format: "date-time" }
+    },
+    if: { properties: { problemType: { enum: PROJECT_BASED_TYPES } } },
+    then: { required: ["project"], properties: { project: { type: "object" } } }
+};
+
+module.exports = { SCHEMA_VERSION, PROJECT_BASED_TYPES, questionSchema };
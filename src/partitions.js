@@ -0,0 +1,96 @@
+const config = require("./config");
+const { appendNarrowFilter } = require("./utils");
+
+const FACET_FIELDS = {
+    level: "level",
+    category: "category",
+    problem_type: "raw.problem_type"
+};
+
+const FACET_CONFIG_KEYS = {
+    level: "listPartitionLevels",
+    category: "listPartitionCategories",
+    problem_type: "listPartitionProblemTypes"
+};
+
+const buildFacetFilter = (baseQuery, facets) => {
+    const filter = baseQuery ? { queries: baseQuery } : {};
+    for (const [facet, value] of Object.entries(facets || {})) {
+        filter[FACET_FIELDS[facet] || `raw.${facet}`] = value;
+    }
+    return filter;
+};
+
+const getFacetValues = async (listCollection, facet, baseQuery, facets) => {
+    const configured = config[FACET_CONFIG_KEYS[facet]];
+    if (configured && configured.length) return configured;
+    // Values come from the items already listed, so facets that only occur past the window are missed;
+    // the coverage check in the syncer reports that gap.
+    const values = await listCollection.distinct(
+        FACET_FIELDS[facet] || `raw.${facet}`,
+        buildFacetFilter(baseQuery, facets)
+    );
+    return values
+        .filter((value) => value !== null && value !== undefined && value !== "")
+        .map(String);
+};
+
+const buildFacetPartitions = async (listCollection, parentKey, parent) => {
+    for (const facet of config.listPartitionFacets) {
+        if (parent.narrow.includes(`${facet}|`)) continue;
+        const values = await getFacetValues(listCollection, facet, parent.baseQuery, parent.facets);
+        if (values.length < 2) continue;
+        return values.map((value) => {
+            const narrow = appendNarrowFilter(parent.narrow, facet, value);
+            return {
+                key: `${parentKey}|${facet}=${value}`,
+                narrow,
+                baseNarrow: narrow,
+                facets: { ...(parent.facets || {}), [facet]: value },
+                range: null
+            };
+        });
+    }
+    return [];
+};
+
+const buildDateRangePartitions = (parentKey, parent) => {
+    const key = config.listPartitionModifiedKey;
+    if (!key) return [];
+    const from = new Date(parent.range?.from || config.listPartitionModifiedSince).getTime();
+    const to = new Date(parent.range?.to || Date.now()).getTime();
+    if (!Number.isFinite(from) || !Number.isFinite(to) || to - from < 1000) return [];
+    const slices = config.listPartitionDateSlices;
+    const step = Math.ceil((to - from) / slices);
+    const partitions = [];
+    for (let start = from; start < to; start += step) {
+        const end = Math.min(start + step, to);
+        const range = { from: new Date(start).toISOString(), to: new Date(end).toISOString() };
+        partitions.push({
+            key: `${parentKey}|modified=${start}-${end}`,
+            narrow: appendNarrowFilter(parent.baseNarrow, key, `${range.from},${range.to}`),
+            baseNarrow: parent.baseNarrow,
+            facets: parent.facets || {},
+            range
+        });
+    }
+    return partitions;
+};
+
+const buildPartitions = async (listCollection, parentKey, parent) => {
+    const byFacet = parent.range ? [] : await buildFacetPartitions(listCollection, parentKey, parent);
+    if (byFacet.length) return byFacet;
+    return buildDateRangePartitions(parentKey, parent);
+};
+
+const summarizeCoverage = (parent, children) => {
+    const expected = Number.isFinite(parent.totalCount) ? parent.totalCount : null;
+    const covered = children.reduce((sum, child) => sum + (child.totalCount ?? 0), 0);
+    return {
+        expected,
+        covered,
+        complete: expected === null ? null : covered >= expected
+    };
+};
+
+module.exports = { buildPartitions, summarizeCoverage };
@@ -0,0 +1,193 @@
+const config = require("./config");
+const { getCollections } = require("./db");
+const { requestWithRetry } = require("./api");
+const { getSource, identifyItems } = require("./sources");
+const { planDetailAssets } = require("./assetSync");
+const { CIRCUIT_OPEN } = require("./retryPolicy");
+const { AUTH_REQUIRED } = require("./auth");
+const { getDetailSkipReason, isOlderThanWatermark, hasModifiedChanged } = require("./sync");
+const { buildPartitions } = require("./partitions");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("plan");
+
+const ASSET_ACTIONS = {
+    would_mirror: "mirror",
+    would_reuse: "reuse",
+    skipped_invalid: "reject"
+};
+
+const classifyListItem = (item, listDoc) => {
+    if (!listDoc) return "new";
+    if (listDoc.upstreamStatus === "missing" || hasModifiedChanged(item, listDoc.modified)) return "changed";
+    return "unchanged";
+};
+
+const summarizeAssetRecords = (records) => {
+    const assets = { mirror: [], reuse: [], reject: [] };
+    for (const record of records) {
+        const action = ASSET_ACTIONS[record.status];
+        if (!action) continue;
+        const entry = { url: record.sourceUrl, kind: record.kind };
+        if (action === "reject") entry.reason = record.errorMessage;
+        assets[action].push(entry);
+    }
+    return assets;
+};
+
+const loadStored = async (slugs) => {
+    const { listCollection, detailCollection } = await getCollections();
+    const projection = { slug: 1, modified: 1, upstreamStatus: 1 };
+    const [listDocs, detailDocs] = await Promise.all([
+        listCollection.find({ slug: { $in: slugs } }, { projection }).toArray(),
+        detailCollection.find({ slug: { $in: slugs } }, { projection }).toArray()
+    ]);
+    return {
+        listBySlug: new Map(listDocs.map((doc) => [doc.slug, doc])),
+        existingSlugSet: new Set(detailDocs.map((doc) => doc.slug)),
+        existingModified: new Map(detailDocs.map((doc) => [doc.slug, doc.modified]))
+    };
+};
+
+// A stored split is reused as sync would; otherwise one is built the way sync builds it
+// once the window is reached.
+const getStoredPartitions = (state, key) => {
+    const perQuery = state?.multiQuery?.perQuery || {};
+    return (perQuery[key]?.partitions || [])
+        .filter((childKey) => perQuery[childKey])
+        .map((childKey) => ({ key: childKey, ...perQuery[childKey] }));
+};
+
+// Walks the same list pages a sync would and reports what it would change. Only reads Mongo;
+// detail fetches go to the source but are not saved, and assets are never downloaded.
+const planSync = async ({ maxPages = 0, assets = true, onItem = () => {} } = {}) => {
+    const source = getSource();
+    const { stateCollection, listCollection } = await getCollections();
+    const state = await stateCollection.findOne({ _id: config.stateDocId });
+    const queries = config.listQueryList && config.listQueryList.length ? config.listQueryList : [""];
+    const maxResultWindow = source.maxResultWindow();
+    const seen = new Set();
+    const summary = {
+        new: 0,
+        changed: 0,
+        unchanged: 0,
+        detailsToFetch: 0,
+        detailsSkipped: 0,
+        assetsToMirror: 0,
+        assetsReused: 0,
+        assetsRejected: 0,
+        detailErrors: 0,
+        truncatedQueries: []
+    };
+
+    const planItem = async (item, key, stored) => {
+        seen.add(item.slug);
+        const listStatus = classifyListItem(item, stored.listBySlug.get(item.slug));
+        summary[listStatus] += 1;
+        const skipReason = getDetailSkipReason(item, stored.existingSlugSet, stored.existingModified);
+        const entry = { slug: item.slug, query: key, list: listStatus, detail: skipReason ? "skip" : "fetch" };
+        if (skipReason) {
+            entry.skipReason = skipReason;
+            summary.detailsSkipped += 1;
+        } else {
+            summary.detailsToFetch += 1;
+        }
+        if (!skipReason && assets) {
+            try {
+                const detailData = await requestWithRetry(
+                    () => source.fetchDetail(item.slug),
+                    { type: "detail", slug: item.slug, url: source.detailUrl(item.slug) },
+                    { recordError: false }
+                );
+                entry.assets = summarizeAssetRecords(await planDetailAssets(detailData, item.slug));
+                summary.assetsToMirror += entry.assets.mirror.length;
+                summary.assetsReused += entry.assets.reuse.length;
+                summary.assetsRejected += entry.assets.reject.length;
+            } catch (error) {
+                if (error.code === CIRCUIT_OPEN || error.code === AUTH_REQUIRED) throw error;
+                summary.detailErrors += 1;
+                entry.detailError = error.message;
+                logger.warn("Detail fetch failed while planning.", { slug: item.slug, message: error.message });
+            }
+        }
+        onItem(entry);
+    };
+
+    const planPartitions = async (node, offset, budget) => {
+        const children = config.listPartitionEnabled ? await buildPartitions(listCollection, node.key, node) : [];
+        if (!children.length) {
+            summary.truncatedQueries.push({ query: node.key, reason: "max_result_window", offset });
+            return;
+        }
+        logger.info("Query exceeds max result window; planning its partitions.", {
+            query: node.key,
+            partitions: children.map((child) => child.key)
+        });
+        for (const child of children) {
+            await planQuery({ ...child, baseQuery: node.baseQuery }, budget);
+        }
+    };
+
+    const planQuery = async (node, budget) => {
+        const stored = getStoredPartitions(state, node.key);
+        if (stored.length) {
+            for (const child of stored) await planQuery(child, budget);
+            return;
+        }
+        const perQuery = state?.multiQuery?.perQuery?.[node.key];
+        const watermark = config.incrementalSync ? perQuery?.watermark || null : null;
+        let offset = 0;
+        while (true) {
+            if (maxPages > 0 && budget.pages >= maxPages) {
+                summary.truncatedQueries.push({ query: node.key, reason: "max_pages", offset });
+                return;
+            }
+            if (Number.isFinite(maxResultWindow) && offset + config.listLimit > maxResultWindow) {
+                await planPartitions(node, offset, budget);
+                return;
+            }
+            const response = await requestWithRetry(
+                () => source.fetchListPage(offset, node.baseQuery, node.narrow),
+                { type: "list", offset, url: source.listUrl(), query: node.key },
+                { recordError: false }
+            );
+            budget.pages += 1;
+            const { items, meta } = source.getListPayload(response);
+            const listError = source.getListError(meta);
+            if (listError) {
+                if (source.isMaxWindowError(listError)) {
+                    await planPartitions(node, offset, budget);
+                } else {
+                    summary.truncatedQueries.push({ query: node.key, reason: listError, offset });
+                }
+                return;
+            }
+            if (!items.length) return;
+
+            const identified = identifyItems(source, items);
+            const pageItems = watermark
+                ? identified.filter((item) => !isOlderThanWatermark(item, watermark))
+                : identified;
+            const fresh = pageItems.filter((item) => !seen.has(item.slug));
+            const stored = await loadStored(fresh.map((item) => item.slug));
+            for (const item of fresh) await planItem(item, node.key, stored);
+            if (pageItems.length < identified.length) return;
+            offset += config.listLimit;
+        }
+    };
+
+    for (const query of queries) {
+        const root = {
+            key: query,
+            baseQuery: query,
+            narrow: config.listNarrow,
+            baseNarrow: config.listNarrow,
+            facets: {},
+            range: null
+        };
+        await planQuery(root, { pages: 0 });
+    }
+    return summary;
+};
+
+module.exports = { planSync };
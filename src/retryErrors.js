@@ -0,0 +1,117 @@
+const { getCollections } = require("./db");
+const { syncDetail, resyncAssets } = require("./detailSync");
+const { CIRCUIT_OPEN } = require("./retryPolicy");
+const { AUTH_REQUIRED } = require("./auth");
+const { createLogger } = require("./logger");
+
+const RETRYABLE_TYPES = ["detail", "asset"];
+
+const logger = createLogger("retry-errors");
+
+const buildErrorFilter = ({ types, statuses, since, until, includeResolved }) => {
+    const filter = {
+        type: { $in: types && types.length ? types : RETRYABLE_TYPES },
+        slug: { $type: "string" }
+    };
+    if (statuses && statuses.length) filter.status = { $in: statuses };
+    if (since || until) {
+        filter.createdAt = {};
+        if (since) filter.createdAt.$gte = since;
+        if (until) filter.createdAt.$lte = until;
+    }
+    if (!includeResolved) filter.resolved = { $ne: true };
+    return filter;
+};
+
+const toOutcome = (result) => {
+    if (!result.failedAssets) return { ok: true };
+    return {
+        ok: false,
+        status: result.failedStatus,
+        message: `${result.failedAssets} asset(s) still failing.`
+    };
+};
+
+const retryDetail = async (slug) =>
+    toOutcome(await syncDetail(slug, { recordError: false }));
+
+const retryAssets = async (slug) => {
+    const result = await resyncAssets(slug);
+    if (!result) return retryDetail(slug);
+    return toOutcome(result);
+};
+
+const markErrors = async (ids, outcome) => {
+    const { errorCollection } = await getCollections();
+    const now = new Date();
+    const update = outcome.ok
+        ? {
+              $set: { resolved: true, resolvedAt: now, retryStatus: "resolved", lastRetryAt: now },
+              $inc: { retryCount: 1 }
+          }
+        : {
+              $set: {
+                  retryStatus: "failing",
+                  lastRetryAt: now,
+                  lastRetryError: outcome.message || null,
+                  lastRetryStatus: outcome.status ?? null
+              },
+              $inc: { retryCount: 1 }
+          };
+    await errorCollection.updateMany({ _id: { $in: ids } }, update);
+};
+
+const retryErrors = async (options = {}) => {
+    const { errorCollection } = await getCollections();
+    const errors = await errorCollection
+        .find(buildErrorFilter(options))
+        .sort({ createdAt: 1 })
+        .limit(options.limit || 0)
+        .toArray();
+
+    // Collapse repeated failures so each slug is retried once; a detail refetch also covers its assets.
+    const bySlug = new Map();
+    for (const error of errors) {
+        const entry = bySlug.get(error.slug) || { type: error.type, ids: [] };
+        if (error.type === "detail") entry.type = "detail";
+        entry.ids.push(error._id);
+        bySlug.set(error.slug, entry);
+    }
+    logger.info("Retrying recorded errors.", { errors: errors.length, slugs: bySlug.size });
+
+    const summary = { errors: errors.length, slugs: bySlug.size, resolved: 0, failing: 0 };
+    for (const [slug, entry] of bySlug) {
+        if (options.dryRun) {
+            logger.info("Would retry.", { slug, type: entry.type, errors: entry.ids.length });
+            continue;
+        }
+        let outcome;
+        try {
+            outcome =
+                entry.type === "detail" ? await retryDetail(slug) : await retryAssets(slug);
+        } catch (error) {
+            if (error.code === CIRCUIT_OPEN || error.code === AUTH_REQUIRED) throw error;
+            outcome = {
+                ok: false,
+                status: error.response?.status || null,
+                message: error.message
+            };
+        }
+        await markErrors(entry.ids, outcome);
+        if (outcome.ok) {
+            summary.resolved += 1;
+            logger.info("Retry resolved.", { slug, type: entry.type });
+        } else {
+            summary.failing += 1;
+            logger.warn("Retry still failing.", {
+                slug,
+                type: entry.type,
+                status: outcome.status ?? null,
+                message: outcome.message
+            });
+        }
+    }
+    return summary;
+};
+
+module.exports = { retryErrors, buildErrorFilter };
@@ -0,0 +1,154 @@
+const config = require("./config");
+const { setCircuitOpen } = require("./metrics");
+const { createLogger } = require("./logger");
+const { sleepUnlessStopping, throwIfStopping } = require("./shutdown");
+
+const logger = createLogger("retry");
+
+const CIRCUIT_OPEN = "CIRCUIT_OPEN";
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set([
+    "ECONNRESET",
+    "ECONNREFUSED",
+    "ECONNABORTED",
+    "ETIMEDOUT",
+    "EPIPE",
+    "EAI_AGAIN",
+    "ERR_SOCKET_CONNECTION_TIMEOUT",
+    "ASSET_TRUNCATED"
+]);
+
+const isRetryable = (error) => {
+    if (!error || error.code === CIRCUIT_OPEN) return false;
+    const status = error.response?.status;
+    if (status) return RETRYABLE_STATUSES.has(status);
+    // No response at all: a transport failure if a request was sent, otherwise a local bug.
+    return RETRYABLE_CODES.has(error.code) || Boolean(error.request);
+};
+
+const getRetryAfterMs = (error) => {
+    const header = error?.response?.headers?.["retry-after"];
+    if (header === undefined || header === null || header === "") return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, date - Date.now());
+};
+
+const backoffDelayMs = (attempt, error) => {
+    const retryAfterMs = getRetryAfterMs(error);
+    if (retryAfterMs !== null) {
+        return Math.min(retryAfterMs, config.retryAfterMaxSec * 1000);
+    }
+    const baseSec =
+        error?.response?.status === 429 ? config.rateLimitDelaySec : config.retryDelaySec;
+    const cappedMs = Math.min(baseSec * 2 ** (attempt - 1), config.retryMaxDelaySec) * 1000;
+    // Equal jitter: keep half the backoff, randomize the rest so workers do not retry in lockstep.
+    return Math.round(cappedMs / 2 + Math.random() * (cappedMs / 2));
+};
+
+const createCircuitBreaker = (name) => {
+    const outcomes = [];
+    let openUntil = 0;
+    let open = false;
+    let consecutiveOpens = 0;
+
+    const trip = () => {
+        const failures = outcomes.filter(Boolean).length;
+        consecutiveOpens += 1;
+        openUntil = Date.now() + config.circuitCooldownSec * 1000;
+        open = true;
+        setCircuitOpen(name, true);
+        logger.warn("Circuit opened; pausing upstream calls.", {
+            circuit: name,
+            failures,
+            window: outcomes.length,
+            cooldownSec: config.circuitCooldownSec,
+            consecutiveOpens
+        });
+        outcomes.length = 0;
+    };
+
+    const record = (failed) => {
+        if (!config.circuitBreakerEnabled) return;
+        outcomes.push(Boolean(failed));
+        if (outcomes.length > config.circuitWindowSize) outcomes.shift();
+        if (!failed) {
+            consecutiveOpens = 0;
+            return;
+        }
+        if (open || outcomes.length < config.circuitMinRequests) return;
+        const failures = outcomes.filter(Boolean).length;
+        if (failures / outcomes.length >= config.circuitErrorThreshold) trip();
+    };
+
+    const wait = async () => {
+        if (!config.circuitBreakerEnabled) return;
+        if (config.circuitMaxOpens > 0 && consecutiveOpens > config.circuitMaxOpens) {
+            const error = new Error(
+                `Circuit ${name} opened ${consecutiveOpens} times in a row; giving up.`
+            );
+            error.code = CIRCUIT_OPEN;
+            throw error;
+        }
+        const remaining = openUntil - Date.now();
+        if (remaining > 0) {
+            await sleepUnlessStopping(remaining);
+            throwIfStopping();
+        }
+        if (open && Date.now() >= openUntil) {
+            open = false;
+            setCircuitOpen(name, false);
+            logger.info("Circuit closed; resuming upstream calls.", { circuit: name });
+        }
+    };
+
+    return { name, record, wait, isOpen: () => open };
+};
+
+const retryWithPolicy = async (requestFn, { breaker = null, maxAttempts = config.maxRetries } = {}) => {
+    let lastError;
+    const attempts = Math.max(1, maxAttempts);
+    for (let attempt = 1; attempt <= attempts; attempt += 1) {
+        if (breaker) await breaker.wait();
+        try {
+            const result = await requestFn(attempt);
+            if (breaker) breaker.record(false);
+            return result;
+        } catch (error) {
+            lastError = error;
+            const retryable = isRetryable(error);
+            if (breaker) breaker.record(retryable);
+            error.attempts = attempt;
+            error.retryable = retryable;
+            if (!retryable || attempt === attempts) break;
+            const delayMs = backoffDelayMs(attempt, error);
+            logger.debug("Retrying after backoff.", {
+                attempt,
+                status: error.response?.status || null,
+                code: error.code || null,
+                delayMs
+            });
+            // Do not sit out a long backoff when the process is shutting down.
+            throwIfStopping();
+            await sleepUnlessStopping(delayMs);
+            throwIfStopping();
+        }
+    }
+    throw lastError;
+};
+
+const apiBreaker = createCircuitBreaker("api");
+const assetBreaker = createCircuitBreaker("assets");
+
+module.exports = {
+    CIRCUIT_OPEN,
+    isRetryable,
+    getRetryAfterMs,
+    backoffDelayMs,
+    createCircuitBreaker,
+    retryWithPolicy,
+    apiBreaker,
+    assetBreaker
+};
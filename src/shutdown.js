@@ -0,0 +1,110 @@
+const config = require("./config");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("shutdown");
+
+const SYNC_STOPPED = "SYNC_STOPPED";
+
+let stopReason = null;
+const stopWaiters = new Set();
+const forcedHandlers = new Set();
+
+const isStopping = () => stopReason !== null;
+
+const getStopReason = () => stopReason;
+
+const createStopError = () => {
+    const error = new Error(`Sync stopping (${stopReason}).`);
+    error.code = SYNC_STOPPED;
+    return error;
+};
+
+const throwIfStopping = () => {
+    if (isStopping()) throw createStopError();
+};
+
+const requestStop = (reason) => {
+    if (isStopping()) return;
+    stopReason = reason;
+    for (const wake of stopWaiters) wake();
+    stopWaiters.clear();
+};
+
+// Like sleep(), but returns early once a stop is requested.
+const sleepUnlessStopping = (ms) =>
+    new Promise((resolve) => {
+        if (isStopping() || ms <= 0) {
+            resolve();
+            return;
+        }
+        const wake = () => {
+            clearTimeout(timer);
+            stopWaiters.delete(wake);
+            resolve();
+        };
+        const timer = setTimeout(wake, ms);
+        stopWaiters.add(wake);
+    });
+
+const onForcedStop = (handler) => {
+    forcedHandlers.add(handler);
+    return () => forcedHandlers.delete(handler);
+};
+
+let forcing = false;
+
+const forceStop = async (exitCode) => {
+    if (forcing) return;
+    forcing = true;
+    logger.warn("Forcing shutdown; in-flight work will be redone on resume.", { reason: stopReason });
+    // Newest first, so inner work (the sync's pause) is recorded before outer cleanup (the lock).
+    for (const handler of [...forcedHandlers].reverse()) {
+        try {
+            await handler();
+        } catch (error) {
+            logger.error("Shutdown handler failed.", { message: error.message });
+        }
+    }
+    await require("./db").close().catch(() => {});
+    process.exit(exitCode);
+};
+
+const EXIT_CODES = { SIGINT: 130, SIGTERM: 143 };
+
+// First signal drains in-flight details; a second one (or the grace timeout) exits immediately.
+const installSignalHandlers = () => {
+    const handle = (signal) => {
+        const exitCode = EXIT_CODES[signal] || 1;
+        if (isStopping()) {
+            forceStop(exitCode);
+            return;
+        }
+        requestStop(signal);
+        logger.warn("Stop requested; finishing in-flight details.", {
+            signal,
+            graceSec: config.shutdownGraceSec
+        });
+        if (config.shutdownGraceSec > 0) {
+            setTimeout(() => forceStop(exitCode), config.shutdownGraceSec * 1000).unref();
+        }
+    };
+    const onSigint = () => handle("SIGINT");
+    const onSigterm = () => handle("SIGTERM");
+    process.on("SIGINT", onSigint);
+    process.on("SIGTERM", onSigterm);
+    return () => {
+        process.off("SIGINT", onSigint);
+        process.off("SIGTERM", onSigterm);
+    };
+};
+
+module.exports = {
+    SYNC_STOPPED,
+    isStopping,
+    getStopReason,
+    throwIfStopping,
+    requestStop,
+    sleepUnlessStopping,
+    onForcedStop,
+    installSignalHandlers
+};
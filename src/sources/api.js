@@ -0,0 +1,76 @@
+const config = require("../config");
+const { getAxiosInstance } = require("../api");
+
+const buildListParams = (offset, listQueryOverride, narrowOverride) => ({
+    index: config.listIndex,
+    limit: config.listLimit,
+    narrow: narrowOverride ?? config.listNarrow,
+    offset,
+    order_by: config.listOrderBy,
+    page_type: config.listPageType,
+    q: listQueryOverride ?? config.listQuery,
+    tag: config.listTag,
+    view: config.listView
+});
+
+const getListError = (meta) => {
+    if (!meta || typeof meta !== "object") return null;
+    if (meta.error) return meta.error;
+    if (meta.error_type) return `${meta.error_type}`;
+    return null;
+};
+
+const isMaxWindowError = (message) => {
+    if (!message) return false;
+    return (
+        message.includes("max_result_window") ||
+        message.includes("Result window is too large") ||
+        message.includes("result window is too large")
+    );
+};
+
+const getListPayload = (response) => {
+    if (!response || !Array.isArray(response.objects) || !response.objects[0]) {
+        return { items: [], meta: {} };
+    }
+    const [wrapper] = response.objects;
+    return {
+        items: wrapper.objects || [],
+        meta: wrapper.meta || {}
+    };
+};
+
+// The search API this project was written against: a wrapped list endpoint plus a per-slug detail endpoint.
+const createApiSource = () => {
+    const fetchListPage = async (offset, listQueryOverride, narrowOverride) => {
+        const params = buildListParams(offset, listQueryOverride, narrowOverride);
+        const response = await getAxiosInstance().get(config.listBaseUrl, { params });
+        return response.data;
+    };
+
+    const detailUrl = (slug) => `${config.detailBaseUrl}/${slug}`;
+
+    const fetchDetail = async (slug) => {
+        const response = await getAxiosInstance().get(detailUrl(slug), {
+            params: { __env: config.detailEnv, __user: config.detailUser }
+        });
+        return response.data;
+    };
+
+    return {
+        name: "api",
+        maxResultWindow: () => config.listMaxResultWindow,
+        listUrl: () => config.listBaseUrl,
+        detailUrl,
+        fetchListPage,
+        getListPayload,
+        getListError,
+        isMaxWindowError,
+        fetchDetail,
+        getItemId: (item) => item.slug,
+        getModified: (item) => item.modified,
+        isGone: (error) => [404, 410].includes(error.response?.status)
+    };
+};
+
+module.exports = { createApiSource, buildListParams, getListError, isMaxWindowError, getListPayload };
@@ -0,0 +1,35 @@
+const config = require("../config");
+const { createApiSource } = require("./api");
+const { createJsonDirSource } = require("./jsonDir");
+
+// Each adapter provides: name, maxResultWindow(), listUrl(), detailUrl(slug),
+// fetchListPage(offset, query, narrow), getListPayload(response) -> { items, meta },
+// getListError(meta), isMaxWindowError(message), fetchDetail(slug),
+// getItemId(item), getModified(item) and isGone(error).
+const ADAPTERS = {
+    api: createApiSource,
+    "json-dir": createJsonDirSource
+};
+
+let source;
+
+const getSource = () => {
+    if (source) return source;
+    const createAdapter = ADAPTERS[config.sourceType];
+    if (!createAdapter) {
+        throw new Error(`Unknown source type: ${config.sourceType}`);
+    }
+    source = createAdapter();
+    return source;
+};
+
+// The rest of the pipeline keys everything on item.slug and item.modified.
+const identifyItems = (adapter, items) =>
+    items
+        .map((item) => {
+            const slug = adapter.getItemId(item);
+            return slug ? { ...item, slug: String(slug), modified: adapter.getModified(item) ?? null } : null;
+        })
+        .filter(Boolean);
+
+module.exports = { ADAPTERS, getSource, identifyItems };
@@ -0,0 +1,144 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { walkFiles } = require("../storage/filesystem");
+
+const SOURCE_ITEM_MISSING = "SOURCE_ITEM_MISSING";
+
+const getField = (data, field) =>
+    field.split(".").reduce((value, part) => (value == null ? undefined : value[part]), data);
+
+// List entries mirror the API's list items so list docs, partitions and watermarks work unchanged.
+const toListItem = (detail, slug, modified) => ({
+    slug,
+    problem_id: detail.id ?? detail.problem_id ?? null,
+    category: detail.category ?? null,
+    status: detail.status ?? null,
+    level: detail.level ?? null,
+    modified: modified ?? null,
+    problem_type: detail.problem_type ?? null,
+    title: detail.title ?? null,
+    tags: Array.isArray(detail.tags) ? detail.tags : []
+});
+
+const matchesQuery = (item, query) => {
+    if (!query) return true;
+    const needle = query.toLowerCase();
+    return [item.slug, item.title, ...item.tags].some(
+        (value) => typeof value === "string" && value.toLowerCase().includes(needle)
+    );
+};
+
+// narrow uses the API's "key|value||" syntax; a "from,to" value on the partition key is a date range.
+const matchesNarrow = (item, narrow) =>
+    (narrow || "")
+        .split("||")
+        .filter(Boolean)
+        .map((part) => part.split("|"))
+        .every(([key, value]) => {
+            if (value === undefined) return true;
+            if (key === config.listPartitionModifiedKey && value.includes(",")) {
+                const [from, to] = value.split(",").map((date) => new Date(date).getTime());
+                const modified = new Date(item.modified).getTime();
+                return modified >= from && modified < to;
+            }
+            return String(item[key] ?? "") === value;
+        });
+
+const compareBy = (orderBy) => {
+    const descending = orderBy.startsWith("-");
+    const field = orderBy.replace(/^-/, "") || "modified";
+    return (a, b) => {
+        const left = field === "modified" ? new Date(a.modified).getTime() || 0 : String(a[field] ?? "");
+        const right = field === "modified" ? new Date(b.modified).getTime() || 0 : String(b[field] ?? "");
+        if (left === right) return a.slug.localeCompare(b.slug);
+        const order = left < right ? -1 : 1;
+        return descending ? -order : order;
+    };
+};
+
+// A directory of exported detail payloads, one question per *.json file.
+const createJsonDirSource = () => {
+    const root = path.resolve(config.sourceDir);
+    let index = null;
+
+    const loadIndex = async () => {
+        const entries = new Map();
+        for await (const file of walkFiles(root)) {
+            if (!file.key.endsWith(".json")) continue;
+            let detail;
+            try {
+                detail = JSON.parse(await fs.promises.readFile(file.path, "utf8"));
+            } catch (error) {
+                throw new Error(`Invalid JSON in ${file.key}: ${error.message}`);
+            }
+            const slug = getField(detail, config.sourceIdField);
+            if (!slug) continue;
+            const modified = getField(detail, config.sourceModifiedField);
+            entries.set(String(slug), { path: file.path, item: toListItem(detail, String(slug), modified) });
+        }
+        index = entries;
+        return index;
+    };
+
+    // Re-read the directory at the start of every listing so edits between runs are picked up.
+    const fetchListPage = async (offset, listQueryOverride, narrowOverride) => {
+        const entries = offset === 0 || !index ? await loadIndex() : index;
+        const query = listQueryOverride ?? config.listQuery;
+        const matching = [...entries.values()]
+            .map((entry) => entry.item)
+            .filter((item) => matchesQuery(item, query))
+            .filter((item) => matchesNarrow(item, narrowOverride ?? config.listNarrow))
+            .sort(compareBy(config.listOrderBy));
+        return {
+            items: matching.slice(offset, offset + config.listLimit),
+            meta: {
+                offset,
+                limit: config.listLimit,
+                total_count: matching.length,
+                page_number: Math.floor(offset / config.listLimit) + 1
+            }
+        };
+    };
+
+    const detailUrl = (slug) => {
+        const entry = index?.get(slug);
+        return entry ? entry.path : path.join(root, `${slug}.json`);
+    };
+
+    const fetchDetail = async (slug) => {
+        const entries = index || (await loadIndex());
+        const entry = entries.get(slug);
+        if (!entry) {
+            const error = new Error(`No JSON file for ${slug} in ${root}.`);
+            error.code = SOURCE_ITEM_MISSING;
+            throw error;
+        }
+        try {
+            return JSON.parse(await fs.promises.readFile(entry.path, "utf8"));
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+            const missing = new Error(`JSON file for ${slug} was removed: ${entry.path}`);
+            missing.code = SOURCE_ITEM_MISSING;
+            throw missing;
+        }
+    };
+
+    return {
+        name: "json-dir",
+        // Everything is local, so there is no result window to partition around.
+        maxResultWindow: () => Infinity,
+        listUrl: () => root,
+        detailUrl,
+        fetchListPage,
+        getListPayload: (response) => response || { items: [], meta: {} },
+        getListError: () => null,
+        isMaxWindowError: () => false,
+        fetchDetail,
+        getItemId: (item) => item.slug,
+        getModified: (item) => item.modified,
+        isGone: (error) => error.code === SOURCE_ITEM_MISSING
+    };
+};
+
+module.exports = { createJsonDirSource, SOURCE_ITEM_MISSING };
@@ -0,0 +1,106 @@
+const http = require("http");
+const config = require("./config");
+const { getCollections } = require("./db");
+const { registry } = require("./metrics");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("status-server");
+
+const countProcessed = (state) =>
+    (state?.detailItemsSaved ?? 0) +
+    (state?.detailItemsSkipped ?? 0) +
+    (state?.failedRequests ?? 0);
+
+const estimateEta = (state, baseline) => {
+    const perQuery = state?.multiQuery?.perQuery?.[state?.currentQuery ?? ""];
+    const totalCount = state?.totalCount;
+    if (!perQuery || !Number.isFinite(totalCount)) return null;
+    const reachable = Number.isFinite(config.listMaxResultWindow)
+        ? Math.min(totalCount, config.listMaxResultWindow)
+        : totalCount;
+    const remaining = Math.max(reachable - (perQuery.lastOffset ?? 0), 0);
+    const elapsedSec = (Date.now() - baseline.startedAt) / 1000;
+    const processed = countProcessed(state) - baseline.processed;
+    if (elapsedSec <= 0 || processed <= 0) return null;
+    const etaSec = Math.round(remaining / (processed / elapsedSec));
+    return {
+        remainingItems: remaining,
+        itemsPerSecond: Number((processed / elapsedSec).toFixed(3)),
+        etaSeconds: etaSec,
+        etaAt: new Date(Date.now() + etaSec * 1000).toISOString()
+    };
+};
+
+const buildStatus = async (baseline) => {
+    const { stateCollection } = await getCollections();
+    const state = await stateCollection.findOne({ _id: config.stateDocId });
+    if (!state) return { stateDocId: config.stateDocId, status: "unknown" };
+    return {
+        stateDocId: state._id,
+        status: state.status,
+        currentQuery: state.currentQuery ?? null,
+        startedAt: state.startedAt ?? null,
+        updatedAt: state.updatedAt ?? null,
+        totals: {
+            listRequests: state.listRequests ?? 0,
+            detailRequests: state.detailRequests ?? 0,
+            listItemsSaved: state.listItemsSaved ?? 0,
+            detailItemsSaved: state.detailItemsSaved ?? 0,
+            detailItemsSkipped: state.detailItemsSkipped ?? 0,
+            failedRequests: state.failedRequests ?? 0,
+            totalCount: state.totalCount ?? null
+        },
+        perQuery: state.multiQuery?.perQuery || {},
+        lastError: state.lastError ?? null,
+        eta: estimateEta(state, baseline)
+    };
+};
+
+const send = (res, status, contentType, body) => {
+    res.writeHead(status, { "Content-Type": contentType });
+    res.end(body);
+};
+
+const startStatusServer = async () => {
+    if (!config.statusServerEnabled) return null;
+    const { stateCollection } = await getCollections();
+    const initial = await stateCollection.findOne({ _id: config.stateDocId });
+    const baseline = { startedAt: Date.now(), processed: countProcessed(initial) };
+
+    const server = http.createServer(async (req, res) => {
+        try {
+            const { pathname } = new URL(req.url, "http://localhost");
+            if (req.method !== "GET") {
+                send(res, 405, "text/plain", "Method not allowed\n");
+                return;
+            }
+            if (pathname === "/status") {
+                const status = await buildStatus(baseline);
+                send(res, 200, "application/json", `${JSON.stringify(status)}\n`);
+                return;
+            }
+            if (pathname === "/metrics") {
+                send(res, 200, registry.contentType, await registry.metrics());
+                return;
+            }
+            send(res, 404, "text/plain", "Not found\n");
+        } catch (error) {
+            send(res, 500, "text/plain", `${error.message}\n`);
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(config.statusServerPort, config.statusServerHost, resolve);
+    });
+    logger.info("Status server listening.", {
+        host: config.statusServerHost,
+        port: server.address().port
+    });
+    return {
+        server,
+        close: () => new Promise((resolve) => server.close(() => resolve()))
+    };
+};
+
+module.exports = { startStatusServer, buildStatus };
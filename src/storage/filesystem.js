@@ -0,0 +1,110 @@
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const config = require("../config");
+
+// Yields every file under root/prefix with its key relative to root.
+async function* walkFiles(root, prefix = "") {
+    const start = path.join(root, prefix);
+    const pending = [start];
+    while (pending.length) {
+        const dir = pending.pop();
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === "ENOENT") continue;
+            throw error;
+        }
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                pending.push(fullPath);
+                continue;
+            }
+            if (!entry.isFile()) continue;
+            const stats = await fs.promises.stat(fullPath);
+            yield {
+                key: path.relative(root, fullPath).split(path.sep).join("/"),
+                size: stats.size,
+                lastModified: stats.mtime,
+                path: fullPath
+            };
+        }
+    }
+}
+
+const createFilesystemStorage = () => {
+    const root = path.resolve(config.storageDir);
+
+    const resolveKey = (key) => {
+        const target = path.resolve(root, key);
+        if (target !== root && !target.startsWith(`${root}${path.sep}`)) {
+            throw new Error(`Storage key escapes the storage directory: ${key}`);
+        }
+        return target;
+    };
+
+    const publicUrl = (key) => {
+        if (config.storageBaseUrl) return `${config.storageBaseUrl}/${key}`;
+        return pathToFileURL(resolveKey(key)).toString();
+    };
+
+    const stat = async (key) => {
+        try {
+            const stats = await fs.promises.stat(resolveKey(key));
+            return { size: stats.size, etag: null, sha256: null };
+        } catch (error) {
+            if (error.code === "ENOENT") return null;
+            throw error;
+        }
+    };
+
+    const exists = async (key) => {
+        try {
+            await fs.promises.access(resolveKey(key));
+            return true;
+        } catch (_error) {
+            return false;
+        }
+    };
+
+    const upload = async (key, filePath) => {
+        if (!config.assetOverwrite) {
+            const existing = await stat(key);
+            const { size } = await fs.promises.stat(filePath);
+            if (existing && existing.size === size) return publicUrl(key);
+        }
+        const target = resolveKey(key);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.copyFile(filePath, target);
+        return publicUrl(key);
+    };
+
+    const download = async (key, destPath) => {
+        await fs.promises.mkdir(path.dirname(destPath), { recursive: true });
+        await fs.promises.copyFile(resolveKey(key), destPath);
+        return destPath;
+    };
+
+    const list = (prefix) => walkFiles(root, prefix);
+
+    const remove = async (key) => {
+        await fs.promises.rm(resolveKey(key), { force: true });
+    };
+
+    return {
+        name: "filesystem",
+        root,
+        resolveKey,
+        publicUrl,
+        stat,
+        exists,
+        upload,
+        download,
+        list,
+        remove
+    };
+};
+
+module.exports = { createFilesystemStorage, walkFiles };
@@ -0,0 +1,148 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const axios = require("axios");
+const config = require("../config");
+const { throttle } = require("../utils");
+const { retryWithPolicy, assetBreaker } = require("../retryPolicy");
+const { createS3Storage } = require("./s3");
+const { createFilesystemStorage } = require("./filesystem");
+const { checkDownload } = require("./integrity");
+const { ensureSession, getCookieHeader, getCsrfToken } = require("../auth");
+
+const DRIVERS = {
+    s3: createS3Storage,
+    filesystem: createFilesystemStorage
+};
+
+let storage;
+
+const getStorage = () => {
+    if (!config.storageEnabled) return null;
+    if (storage) return storage;
+    const createDriver = DRIVERS[config.storageBackend];
+    if (!createDriver) {
+        throw new Error(`Unknown storage backend: ${config.storageBackend}`);
+    }
+    storage = createDriver();
+    return storage;
+};
+
+const ensureDir = async (filePath) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+};
+
+const buildDefaultHeaders = () => {
+    const headers = {
+        Accept: "application/octet-stream,*/*;q=0.9",
+        "User-Agent": config.apiUserAgent
+    };
+    if (config.apiReferer) headers.Referer = config.apiReferer;
+    const cookie = getCookieHeader();
+    if (cookie) headers.Cookie = cookie;
+    if (getCsrfToken()) headers["X-Csrftoken"] = getCsrfToken();
+    return headers;
+};
+
+const headUrl = async (url) => {
+    await ensureSession();
+    const response = await retryWithPolicy(
+        async () => {
+            await throttle();
+            return axios.head(url, {
+                timeout: config.requestTimeoutMs,
+                headers: buildDefaultHeaders(),
+                validateStatus: () => true
+            });
+        },
+        { breaker: assetBreaker }
+    );
+    return {
+        ok: response.status >= 200 && response.status < 400,
+        status: response.status
+    };
+};
+
+const getUrlFileName = (url) => {
+    try {
+        return path.basename(new URL(url).pathname);
+    } catch (_error) {
+        return "";
+    }
+};
+
+// Downloads and checks the body, returning what the upstream said about it alongside the path.
+const downloadAsset = async (url, destPath) => {
+    await ensureSession();
+    const { response, buffer, check } = await retryWithPolicy(
+        async () => {
+            await throttle();
+            const result = await axios.get(url, {
+                responseType: "arraybuffer",
+                timeout: config.requestTimeoutMs,
+                headers: buildDefaultHeaders()
+            });
+            const body = Buffer.from(result.data);
+            const lengthHeader = Number.parseInt(result.headers["content-length"], 10);
+            return {
+                response: result,
+                buffer: body,
+                check: checkDownload({
+                    buffer: body,
+                    fileName: getUrlFileName(url),
+                    contentLength: Number.isFinite(lengthHeader) ? lengthHeader : null,
+                    contentEncoding: result.headers["content-encoding"] || null
+                })
+            };
+        },
+        { breaker: assetBreaker }
+    );
+    await ensureDir(destPath);
+    await fs.promises.writeFile(destPath, buffer);
+    return {
+        path: destPath,
+        size: check.size,
+        contentType: check.contentType,
+        upstreamContentType: response.headers["content-type"] || null,
+        etag: response.headers.etag || null,
+        lastModified: response.headers["last-modified"] || null
+    };
+};
+
+const downloadToFile = async (url, destPath) => {
+    if (!config.assetDownloadEnabled) return null;
+    if (!config.assetOverwrite && fs.existsSync(destPath)) {
+        return destPath;
+    }
+    const result = await downloadAsset(url, destPath);
+    return result.path;
+};
+
+const hashFile = (filePath) =>
+    new Promise((resolve, reject) => {
+        const hash = crypto.createHash("sha256");
+        fs.createReadStream(filePath)
+            .on("error", reject)
+            .on("data", (chunk) => hash.update(chunk))
+            .on("end", () => resolve(hash.digest("hex")));
+    });
+
+const moveFile = async (fromPath, toPath) => {
+    await ensureDir(toPath);
+    if (!config.assetOverwrite && fs.existsSync(toPath)) {
+        await fs.promises.unlink(fromPath);
+        return toPath;
+    }
+    await fs.promises.rename(fromPath, toPath);
+    return toPath;
+};
+
+module.exports = {
+    getStorage,
+    downloadAsset,
+    downloadToFile,
+    headUrl,
+    hashFile,
+    moveFile
+};
+
@@ -0,0 +1,118 @@
+const path = require("path");
+const mime = require("mime-types");
+const config = require("../config");
+
+const ASSET_TRUNCATED = "ASSET_TRUNCATED";
+const ASSET_TYPE_MISMATCH = "ASSET_TYPE_MISMATCH";
+
+const startsWith = (buffer, bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length &&
+    bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => Array.from(text, (char) => char.charCodeAt(0));
+
+const SIGNATURES = [
+    { type: "image/png", test: (buf) => startsWith(buf, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    { type: "image/jpeg", test: (buf) => startsWith(buf, [0xff, 0xd8, 0xff]) },
+    { type: "image/gif", test: (buf) => startsWith(buf, ascii("GIF8")) },
+    { type: "image/webp", test: (buf) => startsWith(buf, ascii("RIFF")) && startsWith(buf, ascii("WEBP"), 8) },
+    { type: "image/bmp", test: (buf) => startsWith(buf, ascii("BM")) && buf.length > 14 },
+    { type: "image/x-icon", test: (buf) => startsWith(buf, [0x00, 0x00, 0x01, 0x00]) },
+    { type: "audio/wav", test: (buf) => startsWith(buf, ascii("RIFF")) && startsWith(buf, ascii("WAVE"), 8) },
+    { type: "audio/mpeg", test: (buf) => startsWith(buf, ascii("ID3")) || startsWith(buf, [0xff, 0xfb]) },
+    { type: "audio/ogg", test: (buf) => startsWith(buf, ascii("OggS")) },
+    { type: "video/webm", test: (buf) => startsWith(buf, [0x1a, 0x45, 0xdf, 0xa3]) },
+    { type: "video/mp4", test: (buf) => startsWith(buf, ascii("ftyp"), 4) },
+    { type: "application/pdf", test: (buf) => startsWith(buf, ascii("%PDF-")) },
+    { type: "application/zip", test: (buf) => startsWith(buf, [0x50, 0x4b, 0x03, 0x04]) || startsWith(buf, [0x50, 0x4b, 0x05, 0x06]) },
+    { type: "application/gzip", test: (buf) => startsWith(buf, [0x1f, 0x8b]) },
+    { type: "application/wasm", test: (buf) => startsWith(buf, [0x00, 0x61, 0x73, 0x6d]) }
+];
+
+// Formats that share a container with a different registered MIME type.
+const FAMILIES = {
+    "application/zip": "zip",
+    "application/java-archive": "zip",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "zip",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "zip",
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation": "zip",
+    "application/gzip": "gzip",
+    "application/x-gzip": "gzip",
+    "audio/mpeg": "mpeg",
+    "audio/mp3": "mpeg",
+    "audio/wav": "wav",
+    "audio/wave": "wav",
+    "audio/x-wav": "wav",
+    "video/mp4": "mp4",
+    "audio/mp4": "mp4",
+    "video/quicktime": "mp4",
+    "application/mp4": "mp4",
+    "video/webm": "webm",
+    "audio/webm": "webm",
+    "video/x-matroska": "webm",
+    "audio/ogg": "ogg",
+    "video/ogg": "ogg",
+    "application/ogg": "ogg",
+    "image/x-icon": "icon",
+    "image/vnd.microsoft.icon": "icon"
+};
+
+const sniffText = (buffer) => {
+    const head = buffer.subarray(0, 512).toString("utf8").replace(/^\uFEFF/, "").trimStart().toLowerCase();
+    if (head.startsWith("<!doctype html") || head.startsWith("<html") || head.startsWith("<head") || head.startsWith("<body")) {
+        return "text/html";
+    }
+    if (head.startsWith("<svg") || (head.startsWith("<?xml") && head.includes("<svg"))) return "image/svg+xml";
+    if (head.startsWith("<?xml")) return "application/xml";
+    return null;
+};
+
+const sniffContentType = (buffer) => {
+    if (!buffer || !buffer.length) return null;
+    const match = SIGNATURES.find((signature) => signature.test(buffer));
+    return match ? match.type : sniffText(buffer);
+};
+
+const expectedContentType = (fileName) => {
+    const ext = path.extname(fileName || "");
+    return ext ? mime.lookup(ext) || null : null;
+};
+
+const sameFamily = (a, b) => a === b || (FAMILIES[a] && FAMILIES[a] === FAMILIES[b]);
+
+// Only a confident sniff can contradict the extension; unknown bytes or extensions pass.
+const contradictsExtension = (sniffed, expected) => {
+    if (!sniffed || !expected) return false;
+    if (sameFamily(sniffed, expected)) return false;
+    // An XML prolog may push the <svg> root past the sniffed prefix.
+    if (sniffed.includes("xml") && expected.includes("xml")) return false;
+    return true;
+};
+
+const checkDownload = ({ buffer, fileName, contentLength, contentEncoding }) => {
+    const size = buffer.length;
+    // A compressed transfer reports the encoded length, which says nothing about the decoded bytes.
+    if (contentLength !== null && !contentEncoding && size < contentLength) {
+        const error = new Error(`Asset truncated: received ${size} of ${contentLength} bytes.`);
+        error.code = ASSET_TRUNCATED;
+        throw error;
+    }
+    const sniffed = sniffContentType(buffer);
+    const expected = expectedContentType(fileName);
+    if (config.assetTypeCheckEnabled && contradictsExtension(sniffed, expected)) {
+        const error = new Error(`Asset content looks like ${sniffed} but the extension implies ${expected}.`);
+        error.code = ASSET_TYPE_MISMATCH;
+        throw error;
+    }
+    const contentType =
+        sniffed && sniffed !== "application/xml" ? sniffed : expected || sniffed || "application/octet-stream";
+    return { size, contentType, sniffed: Boolean(sniffed) };
+};
+
+module.exports = {
+    ASSET_TRUNCATED,
+    ASSET_TYPE_MISMATCH,
+    sniffContentType,
+    expectedContentType,
+    checkDownload
+};
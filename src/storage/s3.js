@@ -0,0 +1,121 @@
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const mime = require("mime-types");
+const {
+    S3Client,
+    PutObjectCommand,
+    HeadObjectCommand,
+    GetObjectCommand,
+    ListObjectsV2Command,
+    DeleteObjectCommand
+} = require("@aws-sdk/client-s3");
+const config = require("../config");
+
+const createS3Storage = () => {
+    const client = new S3Client({
+        region: config.s3Region || "us-east-1",
+        endpoint: config.s3Endpoint || undefined,
+        forcePathStyle: config.s3ForcePathStyle,
+        credentials: {
+            accessKeyId: config.s3AccessKeyId,
+            secretAccessKey: config.s3SecretAccessKey
+        }
+    });
+
+    const publicUrl = (key) => `${config.storageBaseUrl}/${key}`;
+
+    const stat = async (key) => {
+        try {
+            const response = await client.send(
+                new HeadObjectCommand({
+                    Bucket: config.s3Bucket,
+                    Key: key
+                })
+            );
+            return {
+                size: response.ContentLength ?? null,
+                etag: response.ETag || null,
+                sha256: response.Metadata?.sha256 || null
+            };
+        } catch (error) {
+            if (error?.$metadata?.httpStatusCode === 404 || error?.name === "NotFound") return null;
+            throw error;
+        }
+    };
+
+    const exists = async (key) => {
+        try {
+            await client.send(
+                new HeadObjectCommand({
+                    Bucket: config.s3Bucket,
+                    Key: key
+                })
+            );
+            return true;
+        } catch (_error) {
+            return false;
+        }
+    };
+
+    const upload = async (key, filePath, { contentType, sha256 } = {}) => {
+        if (!config.assetOverwrite) {
+            // An existing object only counts when it is complete; a short one is replaced.
+            const existing = await stat(key);
+            const { size } = await fs.promises.stat(filePath);
+            if (existing && existing.size === size) return publicUrl(key);
+        }
+        await client.send(
+            new PutObjectCommand({
+                Bucket: config.s3Bucket,
+                Key: key,
+                Body: fs.createReadStream(filePath),
+                ContentType: contentType || mime.lookup(filePath) || "application/octet-stream",
+                Metadata: sha256 ? { sha256 } : undefined
+            })
+        );
+        return publicUrl(key);
+    };
+
+    const download = async (key, destPath) => {
+        const response = await client.send(
+            new GetObjectCommand({
+                Bucket: config.s3Bucket,
+                Key: key
+            })
+        );
+        await fs.promises.mkdir(path.dirname(destPath), { recursive: true });
+        await pipeline(response.Body, fs.createWriteStream(destPath));
+        return destPath;
+    };
+
+    async function* list(prefix) {
+        let continuationToken;
+        do {
+            const response = await client.send(
+                new ListObjectsV2Command({
+                    Bucket: config.s3Bucket,
+                    Prefix: prefix,
+                    ContinuationToken: continuationToken
+                })
+            );
+            for (const item of response.Contents || []) {
+                yield { key: item.Key, size: item.Size ?? null, lastModified: item.LastModified || null };
+            }
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+    }
+
+    const remove = async (key) => {
+        await client.send(
+            new DeleteObjectCommand({
+                Bucket: config.s3Bucket,
+                Key: key
+            })
+        );
+    };
+
+    return { name: "s3", client, publicUrl, stat, exists, upload, download, list, remove };
+};
+
+module.exports = { createS3Storage };
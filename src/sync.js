@@ -0,0 +1,814 @@
+const config = require("./config");
+const { ensureIndexes, getCollections } = require("./db");
+const { processDetailAssets, clearTempFiles } = require("./assetSync");
+const { saveDetail } = require("./history");
+const { saveQuestion } = require("./normalize");
+const { requestWithRetry } = require("./api");
+const { getSource, identifyItems } = require("./sources");
+const { buildListDoc, buildDetailDoc } = require("./documents");
+const { CIRCUIT_OPEN } = require("./retryPolicy");
+const { AUTH_REQUIRED } = require("./auth");
+const { buildPartitions, summarizeCoverage } = require("./partitions");
+const { LOCK_LOST, ownerId } = require("./lock");
+const {
+    buildSeenFields,
+    findMissing,
+    resurrect,
+    markDeleted,
+    tombstoneUnseen
+} = require("./tombstones");
+const { calcDelayMs, runPool } = require("./utils");
+const {
+    SYNC_STOPPED,
+    isStopping,
+    getStopReason,
+    requestStop,
+    throwIfStopping,
+    sleepUnlessStopping,
+    onForcedStop
+} = require("./shutdown");
+const { createLogger, withLogContext } = require("./logger");
+
+const logger = createLogger("sync");
+
+const toTime = (value) => {
+    if (!value) return null;
+    const time = new Date(value).getTime();
+    return Number.isFinite(time) ? time : null;
+};
+
+const isOlderThanWatermark = (item, watermark) => {
+    const modified = toTime(item.modified);
+    const mark = toTime(watermark);
+    if (modified === null || mark === null) return false;
+    return modified < mark;
+};
+
+const hasModifiedChanged = (item, storedModified) => {
+    const modified = toTime(item.modified);
+    if (modified === null) return true;
+    return modified !== toTime(storedModified);
+};
+
+// Why the current settings leave an already-stored detail alone, or null when it should be fetched.
+const getDetailSkipReason = (item, existingSlugSet, existingModified) => {
+    if (!existingSlugSet.has(item.slug)) return null;
+    if (config.skipExistingDetails) return "already exists";
+    if (config.detailOnlyIfMissing) return "exists; only missing enabled";
+    if (config.incrementalSync && !hasModifiedChanged(item, existingModified.get(item.slug))) {
+        return "modified unchanged";
+    }
+    return null;
+};
+
+const trackPassModified = (perQuery, items) => {
+    for (const item of items) {
+        const modified = toTime(item.modified);
+        if (modified === null) continue;
+        if (!perQuery.passMaxModified || modified > toTime(perQuery.passMaxModified)) {
+            perQuery.passMaxModified = new Date(modified);
+        }
+    }
+};
+
+const advanceWatermark = (perQuery, fullyCovered) => {
+    const passMax = perQuery.passMaxModified;
+    perQuery.passMaxModified = null;
+    if (!passMax) return;
+    // A truncated pass may have missed items between the old mark and the cut-off.
+    if (!fullyCovered && perQuery.watermark) return;
+    if (!perQuery.watermark || toTime(passMax) > toTime(perQuery.watermark)) {
+        perQuery.watermark = new Date(passMax);
+    }
+};
+
+const createPerQuery = (extra = {}) => ({
+    status: "running",
+    lastOffset: 0,
+    listRequests: 0,
+    detailRequests: 0,
+    listItemsSaved: 0,
+    detailItemsSaved: 0,
+    detailItemsSkipped: 0,
+    failedRequests: 0,
+    ...extra
+});
+
+const resetForNewPass = (multiQueryState) => {
+    const now = new Date();
+    multiQueryState.currentIndex = 0;
+    for (const perQuery of Object.values(multiQueryState.perQuery || {})) {
+        // Partitioned queries keep their split and re-run the children instead.
+        perQuery.status = perQuery.partitions?.length ? "partitioned" : "running";
+        // A root query listed from the top proves absences, unless a watermark cuts the pass short.
+        perQuery.fullPass = !perQuery.parent && !(config.incrementalSync && perQuery.watermark);
+        perQuery.passStartedAt = perQuery.fullPass ? now : null;
+        perQuery.lastOffset = 0;
+        perQuery.stopReason = null;
+        perQuery.completedAt = null;
+        perQuery.passMaxModified = null;
+    }
+};
+
+// Only the initial write may create the document; every later one must still hold the lease.
+const updateState = async (stateCollection, updates, { upsert = false } = {}) => {
+    const filter = upsert
+        ? { _id: config.stateDocId }
+        : { _id: config.stateDocId, "lock.ownerId": ownerId };
+    const result = await stateCollection.updateOne(
+        filter,
+        { $set: { updatedAt: new Date(), ...updates } },
+        { upsert }
+    );
+    if (upsert || result.matchedCount > 0) return;
+    logger.error("Run lock lost to another owner; stopping.", { ownerId });
+    requestStop(LOCK_LOST);
+    throwIfStopping();
+};
+
+const runSync = async () => {
+    logger.info("Sync starting.");
+    await ensureIndexes();
+    logger.debug("Indexes ensured.");
+    const {
+        listCollection,
+        detailCollection,
+        stateCollection,
+        errorCollection
+    } = await getCollections();
+    logger.debug("Mongo collections ready.");
+    const source = getSource();
+
+    const existingState = await stateCollection.findOne({
+        _id: config.stateDocId
+    });
+
+    const queryList =
+        config.listQueryList && config.listQueryList.length
+            ? config.listQueryList
+            : null;
+    // A completed sync runs again as a new pass from offset 0: incremental, or forced.
+    const startNewPass =
+        existingState?.status === "completed" && (config.incrementalSync || config.forceResume);
+    if (existingState?.status === "completed" && !startNewPass) {
+        if (!queryList || existingState?.multiQuery?.currentIndex >= queryList.length) {
+            logger.info("Sync already completed. Set FORCE_RESUME=true to run again.");
+            return;
+        }
+    }
+
+    if (existingState?.status === "paused") {
+        logger.info("Resuming paused sync.", {
+            reason: existingState.pausedReason || null,
+            pausedAt: existingState.pausedAt || null
+        });
+    }
+    await clearTempFiles();
+
+    let offset = startNewPass ? 0 : existingState?.lastOffset ?? 0;
+    let totalCount = existingState?.totalCount ?? null;
+    let totalPages = existingState?.totalPages ?? null;
+    let listRequests = existingState?.listRequests ?? 0;
+    let detailRequests = existingState?.detailRequests ?? 0;
+    let listItemsSaved = existingState?.listItemsSaved ?? 0;
+    let detailItemsSaved = existingState?.detailItemsSaved ?? 0;
+    let detailItemsSkipped = existingState?.detailItemsSkipped ?? 0;
+    let failedRequests = existingState?.failedRequests ?? 0;
+    const tombstoneReport = { tombstoned: [], resurrected: 0 };
+
+    await updateState(
+        stateCollection,
+        {
+            status: "running",
+            pausedReason: null,
+            startedAt: existingState?.startedAt || new Date(),
+            lastOffset: offset,
+            listRequests,
+            detailRequests,
+            listItemsSaved,
+            detailItemsSaved,
+            detailItemsSkipped,
+            failedRequests,
+            delayMode: config.delayMode
+        },
+        { upsert: true }
+    );
+    logger.info("State initialized.", {
+        offset,
+        listRequests,
+        detailRequests,
+        delayMode: config.delayMode
+    });
+
+    const multiQueryState =
+        existingState?.multiQuery || {
+            queries: queryList || [],
+            currentIndex: 0,
+            perQuery: {}
+        };
+    if (startNewPass) {
+        resetForNewPass(multiQueryState);
+        logger.info(config.incrementalSync ? "Starting incremental pass." : "Starting full pass.", {
+            watermarks: Object.fromEntries(
+                Object.entries(multiQueryState.perQuery).map(([key, value]) => [
+                    key,
+                    value.watermark || null
+                ])
+            )
+        });
+    }
+
+    // Workers update state concurrently; chain the writes so they land in call order.
+    let stateWrite = Promise.resolve();
+    const persistState = (updates) => {
+        const write = stateWrite.then(() =>
+            updateState(stateCollection, {
+                ...updates,
+                multiQuery: multiQueryState
+            })
+        );
+        stateWrite = write.catch(() => {});
+        return write;
+    };
+
+    const pause = async (reason) => {
+        // Another process owns the state document now; leave it alone.
+        if (getStopReason() === LOCK_LOST) return;
+        await persistState({ status: "paused", pausedReason: reason, pausedAt: new Date() });
+        logger.warn("Sync paused; the next run resumes from this checkpoint.", { reason });
+    };
+
+    const runPartitions = async (queryKey, perQuery, listQueryOverride) => {
+        for (const childKey of perQuery.partitions || []) {
+            if (isStopping()) return;
+            if (multiQueryState.perQuery[childKey]?.status === "completed") continue;
+            await withLogContext({ query: childKey }, () => runQuery(listQueryOverride, childKey));
+        }
+        if (isStopping()) return;
+        const children = (perQuery.partitions || [])
+            .map((childKey) => multiQueryState.perQuery[childKey])
+            .filter(Boolean);
+        const coverage = summarizeCoverage(perQuery, children);
+        perQuery.coverage = coverage;
+        perQuery.status = "completed";
+        perQuery.completedAt = new Date();
+        advanceWatermark(perQuery, coverage.complete !== false);
+        await persistState({ status: "running", currentQuery: queryKey });
+        if (coverage.complete === false) {
+            logger.warn("Partitions did not cover the full result set.", coverage);
+        } else {
+            logger.info("All partitions completed.", coverage);
+        }
+    };
+
+    const splitQuery = async (queryKey, perQuery, listQueryOverride, localOffset) => {
+        if (!config.listPartitionEnabled) return false;
+        const children = await buildPartitions(listCollection, queryKey, perQuery);
+        if (!children.length) {
+            logger.warn("Query cannot be partitioned further.", { offset: localOffset });
+            return false;
+        }
+        perQuery.status = "partitioned";
+        perQuery.stopReason = "partitioned";
+        perQuery.lastOffset = localOffset;
+        perQuery.partitions = children.map((child) => child.key);
+        for (const child of children) {
+            multiQueryState.perQuery[child.key] = {
+                ...(multiQueryState.perQuery[child.key] || createPerQuery()),
+                parent: queryKey,
+                baseQuery: perQuery.baseQuery,
+                narrow: child.narrow,
+                baseNarrow: child.baseNarrow,
+                facets: child.facets,
+                range: child.range
+            };
+        }
+        await persistState({ stopReason: "partitioned", currentQuery: queryKey });
+        logger.info("Query exceeds max result window; partitioned.", {
+            offset: localOffset,
+            partitions: perQuery.partitions
+        });
+        await runPartitions(queryKey, perQuery, listQueryOverride);
+        return true;
+    };
+
+    const runQuery = async (listQueryOverride, partitionKey = null) => {
+        const baseQuery = listQueryOverride || "";
+        const queryKey = partitionKey || baseQuery;
+        // A root query with no state starts from offset 0, so its pass can prove absences.
+        // resetForNewPass does the same for queries that start over.
+        const perQuery =
+            multiQueryState.perQuery[queryKey] ||
+            createPerQuery(partitionKey ? {} : { fullPass: true, passStartedAt: new Date() });
+        multiQueryState.perQuery[queryKey] = perQuery;
+        perQuery.baseQuery = baseQuery;
+        if (!partitionKey) {
+            perQuery.narrow = config.listNarrow;
+            perQuery.baseNarrow = config.listNarrow;
+            perQuery.facets = {};
+            perQuery.range = null;
+        }
+
+        if (perQuery.status === "partitioned") {
+            await runPartitions(queryKey, perQuery, listQueryOverride);
+            return;
+        }
+
+        let localOffset = perQuery.lastOffset ?? 0;
+        const watermark = config.incrementalSync ? perQuery.watermark || null : null;
+        const maxResultWindow = source.maxResultWindow();
+
+        while (true) {
+            if (isStopping()) return;
+            if (Number.isFinite(maxResultWindow) && localOffset + config.listLimit > maxResultWindow) {
+                if (await splitQuery(queryKey, perQuery, listQueryOverride, localOffset)) return;
+                const message = `Reached max result window (${maxResultWindow}).`;
+                perQuery.status = "completed";
+                perQuery.lastOffset = localOffset;
+                perQuery.stopReason = "max_result_window";
+                perQuery.lastError = message;
+                perQuery.completedAt = new Date();
+                advanceWatermark(perQuery, false);
+                await persistState({
+                    status: "running",
+                    lastOffset: localOffset,
+                    totalCount,
+                    totalPages,
+                    lastError: message,
+                    stopReason: "max_result_window",
+                    currentQuery: queryKey
+                });
+                logger.warn(message, { offset: localOffset, listLimit: config.listLimit, query: queryKey });
+                break;
+            }
+            let listResponse;
+            try {
+                listRequests += 1;
+                perQuery.listRequests += 1;
+                await persistState({ listRequests, currentQuery: queryKey });
+                listResponse = await requestWithRetry(
+                    () => source.fetchListPage(localOffset, listQueryOverride, perQuery.narrow),
+                    { type: "list", offset: localOffset, url: source.listUrl(), query: queryKey }
+                );
+                logger.info("List page fetched.", {
+                    offset: localOffset,
+                    query: queryKey,
+                    count: source.getListPayload(listResponse).items.length
+                });
+            } catch (error) {
+                if (error.code === SYNC_STOPPED) return;
+                failedRequests += 1;
+                perQuery.failedRequests += 1;
+                perQuery.lastError = error.message;
+                await persistState({
+                    failedRequests,
+                    lastError: error.message,
+                    lastOffset: localOffset,
+                    currentQuery: queryKey
+                });
+                throw error;
+            }
+
+            const { items, meta } = source.getListPayload(listResponse);
+            const listError = source.getListError(meta);
+            if (listError) {
+                const stopReason = source.isMaxWindowError(listError)
+                    ? "max_result_window"
+                    : "list_error";
+                if (
+                    stopReason === "max_result_window" &&
+                    (await splitQuery(queryKey, perQuery, listQueryOverride, localOffset))
+                ) {
+                    return;
+                }
+                perQuery.status = stopReason === "max_result_window" ? "completed" : "failed";
+                perQuery.lastOffset = localOffset;
+                perQuery.lastError = listError;
+                perQuery.stopReason = stopReason;
+                if (stopReason === "max_result_window") {
+                    perQuery.completedAt = new Date();
+                    advanceWatermark(perQuery, false);
+                }
+                await persistState({
+                    status: stopReason === "max_result_window" ? "running" : "failed",
+                    completedAt: stopReason === "max_result_window" ? new Date() : null,
+                    lastOffset: localOffset,
+                    totalCount,
+                    totalPages,
+                    lastError: listError,
+                    stopReason,
+                    currentQuery: queryKey
+                });
+                logger.warn("List error received; stopping.", {
+                    offset: localOffset,
+                    error: listError,
+                    query: queryKey
+                });
+                break;
+            }
+            if (!items.length) {
+                perQuery.status = "completed";
+                perQuery.lastOffset = localOffset;
+                perQuery.completedAt = new Date();
+                advanceWatermark(perQuery, true);
+                await persistState({
+                    status: "running",
+                    completedAt: new Date(),
+                    lastOffset: localOffset,
+                    totalCount,
+                    totalPages,
+                    currentQuery: queryKey
+                });
+                logger.info("No more list items; query completed.", { offset: localOffset, totalCount, totalPages, query: queryKey });
+                break;
+            }
+
+            if (meta.total_count !== undefined) {
+                totalCount = meta.total_count;
+                perQuery.totalCount = meta.total_count;
+            }
+            if (meta.total_pages !== undefined) totalPages = meta.total_pages;
+
+            const slugItems = identifyItems(source, items);
+            const itemsWithSlug = watermark
+                ? slugItems.filter((item) => !isOlderThanWatermark(item, watermark))
+                : slugItems;
+            const reachedWatermark = itemsWithSlug.length < slugItems.length;
+            trackPassModified(perQuery, itemsWithSlug);
+            const seenAt = new Date();
+            const tombstoned = await findMissing(itemsWithSlug.map((item) => item.slug));
+            const bulkOps = itemsWithSlug.map((item) => ({
+                updateOne: {
+                    filter: { slug: item.slug },
+                    update: {
+                        $set: { ...buildListDoc(item, meta), ...buildSeenFields(baseQuery, seenAt) },
+                        $addToSet: { queries: baseQuery }
+                    },
+                    upsert: true
+                }
+            }));
+            if (bulkOps.length > 0) {
+                const bulkResult = await listCollection.bulkWrite(bulkOps, {
+                    ordered: false
+                });
+                const upserted = bulkResult.upsertedCount || 0;
+                listItemsSaved += upserted;
+                perQuery.listItemsSaved += upserted;
+                logger.info("List items saved.", {
+                    upserted,
+                    matched: bulkResult.matchedCount || 0,
+                    modified: bulkResult.modifiedCount || 0,
+                    query: queryKey
+                });
+            }
+            tombstoneReport.resurrected += await resurrect(tombstoned, baseQuery);
+
+            perQuery.lastOffset = localOffset;
+            perQuery.lastPageNumber = meta.page_number ?? null;
+            perQuery.lastListMeta = meta;
+            perQuery.lastListFetchedAt = new Date();
+            await persistState({
+                lastOffset: localOffset,
+                lastPageNumber: meta.page_number ?? null,
+                totalCount,
+                totalPages,
+                listItemsSaved,
+                lastListMeta: meta,
+                lastListFetchedAt: new Date(),
+                currentQuery: queryKey
+            });
+
+            const slugs = itemsWithSlug.map((item) => item.slug);
+            let existingSlugSet = new Set();
+            let existingModified = new Map();
+            let deletedSlugSet = new Set();
+            if (slugs.length) {
+                const existing = await detailCollection
+                    .find(
+                        { slug: { $in: slugs } },
+                        { projection: { slug: 1, modified: 1, upstreamStatus: 1 } }
+                    )
+                    .toArray();
+                existingSlugSet = new Set(existing.map((doc) => doc.slug));
+                existingModified = new Map(existing.map((doc) => [doc.slug, doc.modified]));
+                deletedSlugSet = new Set(
+                    existing.filter((doc) => doc.upstreamStatus === "deleted").map((doc) => doc.slug)
+                );
+                logger.debug("Existing detail slugs loaded.", { count: existingSlugSet.size, query: queryKey });
+            }
+
+            const pageProgress =
+                perQuery.pageProgress?.offset === localOffset
+                    ? perQuery.pageProgress
+                    : { offset: localOffset, completedSlugs: [] };
+            perQuery.pageProgress = pageProgress;
+            const completedSlugs = new Set(pageProgress.completedSlugs);
+            const pendingItems = itemsWithSlug.filter((item) => !completedSlugs.has(item.slug));
+            if (completedSlugs.size) {
+                logger.info("Resuming partially processed page.", {
+                    offset: localOffset,
+                    completed: completedSlugs.size,
+                    pending: pendingItems.length,
+                    query: queryKey
+                });
+            }
+            // Slugs can finish out of order, so the page offset only advances once all are done.
+            const markSlugDone = (slug) => {
+                pageProgress.completedSlugs.push(slug);
+            };
+
+            const processItem = async (item) => {
+                const skipReason = getDetailSkipReason(item, existingSlugSet, existingModified);
+                if (skipReason) {
+                    detailItemsSkipped += 1;
+                    perQuery.detailItemsSkipped += 1;
+                    markSlugDone(item.slug);
+                    await persistState({
+                        detailItemsSkipped,
+                        lastSlugProcessed: item.slug,
+                        currentQuery: queryKey
+                    });
+                    logger.debug(`Detail skipped (${skipReason}).`, { slug: item.slug, query: queryKey });
+                    return;
+                }
+                if (!config.skipExistingDetails && existingSlugSet.has(item.slug)) {
+                    logger.debug("Detail exists; re-fetching.", { slug: item.slug, query: queryKey });
+                }
+
+                let detailData;
+                const detailStart = Date.now();
+                try {
+                    detailRequests += 1;
+                    perQuery.detailRequests += 1;
+                    await persistState({ detailRequests, currentQuery: queryKey });
+                    logger.debug("Detail request starting.", { slug: item.slug, offset: localOffset, query: queryKey });
+                    detailData = await requestWithRetry(
+                        () => source.fetchDetail(item.slug),
+                        {
+                            type: "detail",
+                            slug: item.slug,
+                            offset: localOffset,
+                            url: source.detailUrl(item.slug),
+                            query: queryKey
+                        }
+                    );
+                    logger.debug("Detail fetched.", { slug: item.slug, query: queryKey });
+                } catch (error) {
+                    // Upstream is down or the session is gone; stop instead of skipping slugs.
+                    if (error.code === CIRCUIT_OPEN || error.code === AUTH_REQUIRED) throw error;
+                    // Left out of completedSlugs so the resumed run fetches it again.
+                    if (error.code === SYNC_STOPPED) return;
+                    if (source.isGone(error)) await markDeleted(item.slug, error.response?.status ?? null);
+                    logger.warn("Detail fetch failed.", {
+                        status: error.response?.status || null,
+                        message: error.message
+                    });
+                    failedRequests += 1;
+                    perQuery.failedRequests += 1;
+                    perQuery.lastError = error.message;
+                    markSlugDone(item.slug);
+                    await persistState({
+                        failedRequests,
+                        lastError: error.message,
+                        lastSlugProcessed: item.slug,
+                        lastOffset: localOffset,
+                        currentQuery: queryKey
+                    });
+                    return;
+                }
+
+                try {
+                    logger.debug("Asset processing started.", { slug: item.slug, query: queryKey });
+                    const failedAssets = (await processDetailAssets(detailData, item.slug)).filter(
+                        (record) => record.status === "failed"
+                    );
+                    logger.debug("Assets processed.", { slug: item.slug, query: queryKey });
+                    if (failedAssets.length) {
+                        // Status is the first failure's, as retry-errors reports it, so --status can select it.
+                        await errorCollection.insertOne({
+                            type: "asset",
+                            slug: item.slug,
+                            offset: localOffset,
+                            status: failedAssets[0].errorStatus ?? null,
+                            message: `${failedAssets.length} asset(s) failed to mirror.`,
+                            data: failedAssets.map((record) => ({
+                                url: record.sourceUrl,
+                                status: record.errorStatus ?? null,
+                                message: record.errorMessage || null
+                            })),
+                            createdAt: new Date()
+                        });
+                    }
+                } catch (error) {
+                    // The asset circuit gave up; runSync pauses with circuit_open.
+                    if (error.code === CIRCUIT_OPEN) throw error;
+                    // Interrupted mid-download: leave it out of completedSlugs so the resume redoes it.
+                    if (error.code === SYNC_STOPPED) return;
+                    logger.warn("Asset processing failed.", { message: error.message });
+                    failedRequests += 1;
+                    perQuery.failedRequests += 1;
+                    perQuery.lastError = error.message;
+                    await persistState({
+                        failedRequests,
+                        lastError: error.message,
+                        lastSlugProcessed: item.slug,
+                        lastOffset: localOffset,
+                        currentQuery: queryKey
+                    });
+                    await errorCollection.insertOne({
+                        type: "asset",
+                        slug: item.slug,
+                        offset: localOffset,
+                        status: error.response?.status ?? error.$metadata?.httpStatusCode ?? null,
+                        message: error.message,
+                        createdAt: new Date()
+                    });
+                }
+
+                logger.debug("Detail update starting.", { slug: item.slug, query: queryKey });
+                const detailDoc = buildDetailDoc(item.slug, detailData, meta);
+                const {
+                    result: detailResult,
+                    revision,
+                    changed
+                } = await saveDetail(detailDoc);
+                const normalized = await saveQuestion(detailDoc);
+                if (deletedSlugSet.has(item.slug)) {
+                    tombstoneReport.resurrected += await resurrect(
+                        [{ slug: item.slug, upstreamStatus: "deleted" }],
+                        baseQuery
+                    );
+                }
+                detailItemsSaved += 1;
+                perQuery.detailItemsSaved += 1;
+                logger.info("Detail saved.", {
+                    slug: item.slug,
+                    matched: detailResult.matchedCount || 0,
+                    modified: detailResult.modifiedCount || 0,
+                    upserted: detailResult.upsertedCount || 0,
+                    revision,
+                    changed,
+                    valid: normalized ? normalized.valid : null,
+                    durationMs: Date.now() - detailStart,
+                    query: queryKey
+                });
+
+                perQuery.lastSlugProcessed = item.slug;
+                perQuery.lastDetailFetchedAt = new Date();
+                markSlugDone(item.slug);
+                await persistState({
+                    detailItemsSaved,
+                    lastSlugProcessed: item.slug,
+                    lastDetailFetchedAt: new Date(),
+                    currentQuery: queryKey
+                });
+
+                const detailDelay = calcDelayMs(
+                    config.delayMode,
+                    config.detailDelayMinSec,
+                    config.detailDelayMaxSec
+                );
+                if (detailDelay > 0) {
+                    logger.debug("Detail delay.", { slug: item.slug, delayMs: detailDelay, query: queryKey });
+                    await sleepUnlessStopping(detailDelay);
+                    logger.debug("Detail delay done.", { slug: item.slug, query: queryKey });
+                }
+            };
+
+            await runPool(pendingItems, config.detailConcurrency, async (item) => {
+                if (isStopping()) return;
+                await withLogContext({ slug: item.slug, offset: localOffset }, () => processItem(item));
+            });
+            if (isStopping()) {
+                // Keep pageProgress so only the unfinished slugs of this page are redone.
+                await persistState({ lastOffset: localOffset, currentQuery: queryKey });
+                return;
+            }
+
+            localOffset += config.listLimit;
+            perQuery.lastOffset = localOffset;
+            perQuery.pageProgress = null;
+            if (reachedWatermark) {
+                perQuery.status = "completed";
+                perQuery.stopReason = "watermark";
+                perQuery.completedAt = new Date();
+                advanceWatermark(perQuery, true);
+                await persistState({
+                    status: "running",
+                    completedAt: new Date(),
+                    lastOffset: localOffset,
+                    totalCount,
+                    totalPages,
+                    stopReason: "watermark",
+                    currentQuery: queryKey
+                });
+                logger.info("Reached watermark; query completed.", {
+                    offset: localOffset,
+                    watermark: perQuery.watermark,
+                    query: queryKey
+                });
+                break;
+            }
+            await persistState({ lastOffset: localOffset, currentQuery: queryKey });
+            logger.info("Page completed.", { nextOffset: localOffset, query: queryKey });
+
+            const listDelay = calcDelayMs(
+                config.delayMode,
+                config.listDelayMinSec,
+                config.listDelayMaxSec
+            );
+            if (listDelay > 0) {
+                logger.debug("List delay.", { delayMs: listDelay, query: queryKey });
+                await sleepUnlessStopping(listDelay);
+                logger.debug("List delay done.", { delayMs: listDelay, query: queryKey });
+            }
+        }
+    };
+
+    const runQueries = async () => {
+        if (queryList && queryList.length) {
+            if (!multiQueryState.queries.length) {
+                multiQueryState.queries = queryList;
+            }
+            for (let i = multiQueryState.currentIndex || 0; i < queryList.length; i += 1) {
+                const query = queryList[i];
+                multiQueryState.currentIndex = i;
+                await persistState({ status: "running", currentQuery: query });
+                logger.info("Starting list query.", { query });
+                await withLogContext({ query }, () => runQuery(query));
+                if (isStopping()) break;
+            }
+        } else {
+            await withLogContext({ query: "" }, () => runQuery(null));
+        }
+    };
+
+    // A forced exit skips the drain, so record the pause before the process goes away.
+    const unregisterForcedStop = onForcedStop(() => pause(`${getStopReason()}_forced`));
+    try {
+        await runQueries();
+    } catch (error) {
+        if (error.code === CIRCUIT_OPEN) await pause("circuit_open");
+        if (error.code === AUTH_REQUIRED) await pause("auth_required");
+        // A stop that surfaced as an error is handled like any other stop below.
+        if (error.code !== SYNC_STOPPED) throw error;
+    } finally {
+        unregisterForcedStop();
+    }
+
+    if (isStopping()) {
+        await pause(getStopReason());
+        return { status: "paused", reason: getStopReason() };
+    }
+
+    const rootQueries = queryList && queryList.length ? queryList : [""];
+    const passes = rootQueries.map((query) => {
+        const perQuery = multiQueryState.perQuery[query];
+        const complete =
+            Boolean(perQuery?.fullPass) &&
+            perQuery.status === "completed" &&
+            perQuery.stopReason !== "max_result_window" &&
+            perQuery.coverage?.complete !== false;
+        return { query, perQuery, complete };
+    });
+    for (const { query, perQuery, complete } of passes) {
+        if (!perQuery?.fullPass || perQuery.status !== "completed") continue;
+        perQuery.fullPass = false;
+        if (!complete) {
+            logger.warn("Pass did not cover the whole query; skipping tombstones.", { query });
+            continue;
+        }
+        const slugs = await tombstoneUnseen({
+            passStartedAt: perQuery.passStartedAt,
+            query: queryList && queryList.length ? query : null,
+            otherPasses: passes
+                .filter((other) => other.query !== query)
+                .map((other) => ({
+                    query: other.query,
+                    passStartedAt: other.complete ? other.perQuery.passStartedAt : null
+                }))
+        });
+        tombstoneReport.tombstoned.push(...slugs);
+    }
+    if (tombstoneReport.tombstoned.length || tombstoneReport.resurrected) {
+        logger.info("Tombstone report.", {
+            tombstoned: tombstoneReport.tombstoned.length,
+            resurrected: tombstoneReport.resurrected,
+            slugs: tombstoneReport.tombstoned
+        });
+    }
+    await persistState({
+        status: "completed",
+        completedAt: new Date(),
+        currentQuery: null,
+        lastTombstoneReport: {
+            at: new Date(),
+            tombstoned: tombstoneReport.tombstoned.length,
+            resurrected: tombstoneReport.resurrected
+        }
+    });
+    logger.info(queryList && queryList.length ? "All queries completed." : "Sync completed.");
+    return { status: "completed" };
+};
+
+module.exports = { runSync, getDetailSkipReason, isOlderThanWatermark, hasModifiedChanged };
@@ -0,0 +1,133 @@
+const { getCollections } = require("./db");
+const { runId, createLogger } = require("./logger");
+
+const logger = createLogger("tombstones");
+
+const TOMBSTONED_STATUSES = ["missing", "deleted"];
+
+// Read paths pass this unless the caller explicitly asks for removed questions.
+const activeFilter = () => ({ upstreamStatus: { $nin: TOMBSTONED_STATUSES } });
+
+// Field names cannot contain "." or start with "$", so list queries are folded into safe keys.
+const toQueryField = (query) => (query ? query.replace(/[.$]/g, "_") : "_default");
+
+// Status is left alone here: resurrect() flips it so every transition gets an event.
+const buildSeenFields = (query, now) => ({
+    lastSeenAt: now,
+    lastSeenRunId: runId,
+    [`seenByQuery.${toQueryField(query)}`]: { at: now, runId }
+});
+
+const setUpstreamStatus = async (slugs, status, now) => {
+    const { listCollection, detailCollection, questionCollection } = await getCollections();
+    const filter = { slug: { $in: slugs } };
+    const update = { $set: { upstreamStatus: status, upstreamStatusAt: now } };
+    await Promise.all([
+        listCollection.updateMany(filter, update),
+        detailCollection.updateMany(filter, update),
+        questionCollection.updateMany(filter, update)
+    ]);
+};
+
+const recordEvents = async (docs, event, now, extra = {}) => {
+    if (!docs.length) return;
+    const { tombstoneCollection } = await getCollections();
+    await tombstoneCollection.insertMany(
+        docs.map((doc) => ({
+            slug: doc.slug,
+            event,
+            previousStatus: doc.upstreamStatus || "active",
+            lastSeenAt: doc.lastSeenAt || null,
+            runId,
+            at: now,
+            ...extra
+        })),
+        { ordered: false }
+    );
+};
+
+// Only list-level absences are undone by a listing; "deleted" waits for a successful detail fetch.
+const findMissing = async (slugs) => {
+    if (!slugs.length) return [];
+    const { listCollection } = await getCollections();
+    return listCollection
+        .find(
+            { slug: { $in: slugs }, upstreamStatus: "missing" },
+            { projection: { slug: 1, upstreamStatus: 1, lastSeenAt: 1 } }
+        )
+        .toArray();
+};
+
+const resurrect = async (docs, query) => {
+    if (!docs.length) return 0;
+    const now = new Date();
+    await setUpstreamStatus(docs.map((doc) => doc.slug), "active", now);
+    await recordEvents(docs, "resurrected", now, { query });
+    logger.info("Questions reappeared upstream.", { count: docs.length, slugs: docs.map((doc) => doc.slug) });
+    return docs.length;
+};
+
+// The detail endpoint itself says the question is gone.
+const markDeleted = async (slug, status) => {
+    const { listCollection } = await getCollections();
+    const doc = await listCollection.findOne({ slug }, { projection: { slug: 1, upstreamStatus: 1, lastSeenAt: 1 } });
+    if (doc?.upstreamStatus === "deleted") return;
+    const now = new Date();
+    await setUpstreamStatus([slug], "deleted", now);
+    await recordEvents([doc || { slug }], "tombstoned", now, { status: "deleted", httpStatus: status });
+    logger.warn("Question deleted upstream.", { slug, httpStatus: status });
+};
+
+const seenField = (query) => `seenByQuery.${toQueryField(query)}.at`;
+
+const notSeenSince = (field, since) => ({ $or: [{ [field]: { $lt: since } }, { [field]: null }] });
+
+// After a complete pass, anything the pass never listed is gone from upstream. A query-scoped
+// pass only judges its own tag, and other queries can still vouch for a question: a complete
+// pass (passStartedAt set) by listing it, an unproven one (passStartedAt null) just by tagging it.
+const tombstoneUnseen = async ({ passStartedAt, query = null, otherPasses = [] }) => {
+    const { listCollection } = await getCollections();
+    const filter = { ...activeFilter() };
+    if (query === null) {
+        Object.assign(filter, notSeenSince("lastSeenAt", passStartedAt));
+    } else {
+        const unproven = otherPasses.filter((pass) => !pass.passStartedAt).map((pass) => pass.query);
+        const vouching = otherPasses
+            .filter((pass) => pass.passStartedAt)
+            .map((pass) => ({ [seenField(pass.query)]: { $gte: pass.passStartedAt } }));
+        Object.assign(filter, notSeenSince(seenField(query), passStartedAt));
+        filter.queries = unproven.length ? { $eq: query, $nin: unproven } : query;
+        if (vouching.length) filter.$nor = vouching;
+    }
+    const docs = await listCollection
+        .find(filter, { projection: { slug: 1, upstreamStatus: 1, lastSeenAt: 1 } })
+        .toArray();
+    if (!docs.length) return [];
+    const now = new Date();
+    const slugs = docs.map((doc) => doc.slug);
+    await setUpstreamStatus(slugs, "missing", now);
+    await recordEvents(docs, "tombstoned", now, { status: "missing", passStartedAt, query });
+    logger.warn("Questions missing from a complete pass were tombstoned.", { count: slugs.length, slugs, query });
+    return slugs;
+};
+
+const listEvents = async ({ since = null, event = null, limit = 0 } = {}) => {
+    const { tombstoneCollection } = await getCollections();
+    const filter = {};
+    if (since) filter.at = { $gte: since };
+    if (event) filter.event = event;
+    const cursor = tombstoneCollection.find(filter).sort({ at: -1 });
+    if (limit > 0) cursor.limit(limit);
+    return cursor.toArray();
+};
+
+module.exports = {
+    TOMBSTONED_STATUSES,
+    activeFilter,
+    buildSeenFields,
+    findMissing,
+    resurrect,
+    markDeleted,
+    tombstoneUnseen,
+    listEvents
+};
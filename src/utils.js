@@ -11,5 +11,66 @@ const calcDelayMs = (mode, minSec, maxSec) => {
     return Math.round(delaySec * 1000);
 };
 
-module.exports = { sleep, randomBetween, calcDelayMs };
+const appendNarrowFilter = (narrow, key, value) => {
+    if (!value) return narrow;
+    if (narrow.includes(`${key}|`)) return narrow;
+    const trimmed = (narrow || "").trim();
+    const separator = trimmed.endsWith("||") || trimmed.length === 0 ? "" : "||";
+    return `${trimmed}${separator}${key}|${value}||`;
+};
+
+// After the first failure no new items are handed out, and the failure is only rethrown once
+// the workers still running have finished, so callers never act on it with work in flight.
+const runPool = async (items, concurrency, worker) => {
+    const size = Math.max(1, Math.min(concurrency || 1, items.length));
+    let next = 0;
+    let failed = false;
+    const runWorker = async () => {
+        while (!failed && next < items.length) {
+            const index = next;
+            next += 1;
+            try {
+                await worker(items[index], index);
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    };
+    const results = await Promise.allSettled(Array.from({ length: size }, runWorker));
+    const rejected = results.find((result) => result.status === "rejected");
+    if (rejected) throw rejected.reason;
+};
+
+const createRateLimiter = (requestsPerSecond) => {
+    let nextSlot = 0;
+    return async () => {
+        if (!requestsPerSecond || requestsPerSecond <= 0) return;
+        const interval = 1000 / requestsPerSecond;
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot);
+        nextSlot = slot + interval;
+        if (slot > now) await sleep(slot - now);
+    };
+};
+
+let sharedLimiter;
+
+const throttle = () => {
+    if (!sharedLimiter) {
+        const config = require("./config");
+        sharedLimiter = createRateLimiter(config.requestsPerSecond);
+    }
+    return sharedLimiter();
+};
+
+module.exports = {
+    sleep,
+    randomBetween,
+    calcDelayMs,
+    appendNarrowFilter,
+    runPool,
+    createRateLimiter,
+    throttle
+};
 
@@ -0,0 +1,112 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("./config");
+const { getCollections } = require("./db");
+const { getStorage, hashFile } = require("./storage");
+const { runPool } = require("./utils");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("verify-assets");
+
+const buildAssetFilter = ({ hashes, keys, slugs, unverifiedOnly }) => {
+    const filter = { hash: { $type: "string" }, key: { $type: "string" } };
+    if (hashes && hashes.length) filter.hash = { $in: hashes };
+    if (keys && keys.length) filter.key = { $in: keys };
+    if (slugs && slugs.length) filter.slugs = { $in: slugs };
+    if (unverifiedOnly) filter.verifiedAt = null;
+    return filter;
+};
+
+const checkLocal = async (asset) => {
+    if (!asset.localPath || !fs.existsSync(asset.localPath)) return { status: "missing" };
+    const { size } = await fs.promises.stat(asset.localPath);
+    return { size, filePath: asset.localPath, cleanup: false };
+};
+
+const checkStored = async (storage, asset, workDir) => {
+    const stat = await storage.stat(asset.key);
+    if (!stat) return { status: "missing" };
+    return {
+        size: stat.size,
+        fetch: async () => {
+            const filePath = path.join(workDir, path.basename(asset.key));
+            await storage.download(asset.key, filePath);
+            return filePath;
+        }
+    };
+};
+
+// Compares one object against what was recorded when it was mirrored.
+const verifyAsset = async (storage, asset, { quick, workDir }) => {
+    const found = storage ? await checkStored(storage, asset, workDir) : await checkLocal(asset);
+    if (found.status) return { status: found.status };
+    if (asset.size != null && found.size !== asset.size) {
+        return { status: "size_mismatch", expected: asset.size, actual: found.size };
+    }
+    if (quick) return { status: "ok" };
+    const filePath = found.filePath || (await found.fetch());
+    try {
+        const actual = await hashFile(filePath);
+        if (actual !== asset.hash) return { status: "hash_mismatch", expected: asset.hash, actual };
+        return { status: "ok" };
+    } finally {
+        if (found.fetch) await fs.promises.rm(filePath, { force: true });
+    }
+};
+
+const verifyAssets = async ({ limit = 0, quick = false, ...filters } = {}) => {
+    const { assetCollection } = await getCollections();
+    const storage = getStorage();
+    const cursor = assetCollection
+        .find(buildAssetFilter(filters), {
+            projection: { hash: 1, key: 1, size: 1, localPath: 1 }
+        })
+        .sort({ _id: 1 });
+    if (limit > 0) cursor.limit(limit);
+    const assets = await cursor.toArray();
+
+    const summary = { checked: 0, ok: 0, missing: 0, sizeMismatch: 0, hashMismatch: 0, errors: 0, drift: [] };
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "question-sync-verify-"));
+    try {
+        await runPool(assets, config.detailConcurrency, async (asset) => {
+            let result;
+            try {
+                result = await verifyAsset(storage, asset, { quick, workDir });
+            } catch (error) {
+                result = { status: "error", message: error.message };
+            }
+            summary.checked += 1;
+            if (result.status === "ok") summary.ok += 1;
+            else if (result.status === "missing") summary.missing += 1;
+            else if (result.status === "size_mismatch") summary.sizeMismatch += 1;
+            else if (result.status === "hash_mismatch") summary.hashMismatch += 1;
+            else summary.errors += 1;
+            if (result.status !== "ok") {
+                summary.drift.push({ key: asset.key, hash: asset.hash, ...result });
+                logger.warn("Asset drift detected.", { key: asset.key, ...result });
+            }
+            await assetCollection.updateOne(
+                { _id: asset._id },
+                {
+                    $set: {
+                        verifiedAt: new Date(),
+                        verifyStatus: result.status,
+                        verifyMode: quick ? "size" : "sha256",
+                        verifyBackend: storage ? storage.name : "local"
+                    }
+                }
+            );
+        });
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+    logger.info("Asset verification finished.", {
+        checked: summary.checked,
+        ok: summary.ok,
+        drift: summary.drift.length
+    });
+    return summary;
+};
+
+module.exports = { verifyAssets };
@@ -0,0 +1,87 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { findAssetReferences, rewriteReferences, isFileLink } = require("../src/assetUrls");
+
+const urlsIn = (text) => findAssetReferences(text).map((ref) => ref.url);
+
+describe("findAssetReferences", () => {
+    it("splits srcset candidates and drops their descriptors", () => {
+        const text =
+            '<img srcset="https://cdn.example.com/a.png 1x, https://cdn.example.com/b,c.png 2x,https://cdn.example.com/d.png">';
+        const refs = findAssetReferences(text);
+        assert.deepEqual(
+            refs.map((ref) => ref.url),
+            ["https://cdn.example.com/a.png", "https://cdn.example.com/b,c.png", "https://cdn.example.com/d.png"]
+        );
+        assert.ok(refs.every((ref) => ref.context === "image" && ref.syntax === "srcset"));
+        assert.equal(text.slice(refs[1].start, refs[1].end), "https://cdn.example.com/b,c.png");
+    });
+
+    it("reads CSS url() with plain, quoted and entity-encoded quotes", () => {
+        const text = [
+            "<style>.a { background: url(https://cdn.example.com/plain.png); }",
+            ".b { background: url('https://cdn.example.com/single.png'); }</style>",
+            '<div style="background: url(&quot;https://cdn.example.com/entity.png&quot;)"></div>',
+            '<div style="background: url(&#39;https://cdn.example.com/apos.png?a=1&amp;b=2&#39;)"></div>'
+        ].join("\n");
+        const refs = findAssetReferences(text);
+        assert.deepEqual(
+            refs.map((ref) => ref.url),
+            [
+                "https://cdn.example.com/plain.png",
+                "https://cdn.example.com/single.png",
+                "https://cdn.example.com/entity.png",
+                "https://cdn.example.com/apos.png?a=1&b=2"
+            ]
+        );
+        assert.ok(refs.every((ref) => ref.syntax === "css-url"));
+        assert.equal(text.slice(refs[2].start, refs[2].end), "https://cdn.example.com/entity.png");
+    });
+
+    it("keeps balanced parentheses inside Markdown destinations", () => {
+        const text =
+            "See ![chart](https://cdn.example.com/chart_(v2).png) and [notes](https://cdn.example.com/notes(1).pdf).";
+        const refs = findAssetReferences(text);
+        assert.deepEqual(
+            refs.map((ref) => [ref.url, ref.context]),
+            [
+                ["https://cdn.example.com/chart_(v2).png", "image"],
+                ["https://cdn.example.com/notes(1).pdf", "link"]
+            ]
+        );
+    });
+
+    it("trims prose punctuation from bare URLs but keeps a closing paren the URL opened", () => {
+        assert.deepEqual(urlsIn("Download https://cdn.example.com/a.zip."), ["https://cdn.example.com/a.zip"]);
+        assert.deepEqual(urlsIn("(see https://cdn.example.com/b.png)"), ["https://cdn.example.com/b.png"]);
+        assert.deepEqual(urlsIn("https://cdn.example.com/c_(1).png, then"), ["https://cdn.example.com/c_(1).png"]);
+        assert.deepEqual(urlsIn('"https://cdn.example.com/d.png&quot;!'), ["https://cdn.example.com/d.png"]);
+    });
+
+    it("lets structured references win over the bare-URL fallback", () => {
+        const refs = findAssetReferences('<img src="https://cdn.example.com/e.png">');
+        assert.deepEqual(
+            refs.map((ref) => [ref.syntax, ref.context]),
+            [["img-src", "image"]]
+        );
+    });
+});
+
+describe("rewriteReferences", () => {
+    it("replaces only the matched ranges", () => {
+        const text = "![a](https://cdn.example.com/a.png) https://cdn.example.com/a.png";
+        const [first] = findAssetReferences(text);
+        assert.equal(
+            rewriteReferences(text, [{ ref: first, url: "https://mirror.example.com/a.png" }]),
+            "![a](https://mirror.example.com/a.png) https://cdn.example.com/a.png"
+        );
+    });
+});
+
+describe("isFileLink", () => {
+    it("tells files from pages", () => {
+        assert.equal(isFileLink("https://example.com/docs/guide.pdf"), true);
+        assert.equal(isFileLink("https://example.com/docs/guide"), false);
+        assert.equal(isFileLink("https://example.com/docs/index.html"), false);
+    });
+});
@@ -0,0 +1,49 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../src/config");
+const { AUTH_REQUIRED, getCookieHeader, withSession } = require("../src/auth");
+
+const unauthorized = () => {
+    const error = new Error("Request failed with status code 401");
+    error.response = { status: 401, headers: {} };
+    return error;
+};
+
+describe("withSession", () => {
+    let dir;
+    let authFile;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "question-sync-auth-"));
+        authFile = path.join(dir, "cookie.txt");
+        fs.writeFileSync(authFile, "session=old");
+        Object.assign(config, { authProvider: "file", authFile, logLevel: "error" });
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it("retries every request rejected with credentials a concurrent reload replaced", async () => {
+        // Each request snapshots its cookie before "sending", so both go out with the old one.
+        const request = async () => {
+            const cookie = getCookieHeader();
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            if (cookie !== "session=new") throw unauthorized();
+            return "ok";
+        };
+        await withSession(async () => "warm");
+        fs.writeFileSync(authFile, "session=new");
+
+        const results = await Promise.all([withSession(request), withSession(request), withSession(request)]);
+        assert.deepEqual(results, ["ok", "ok", "ok"]);
+    });
+
+    it("still reports AUTH_REQUIRED when the provider has nothing new", async () => {
+        const rejected = await withSession(async () => {
+            throw unauthorized();
+        }).catch((error) => error);
+        assert.equal(rejected.code, AUTH_REQUIRED);
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../src/config");
+const { loadProfile } = require("../src/configProfiles");
+const { findConfigProblems } = require("../src/configSchema");
+const { deriveConfig } = require("../src/configDerived");
+const { envInt } = require("../src/configParsers");
+
+const validConfig = (overrides = {}) => ({
+    ...config,
+    mongoUri: "mongodb://localhost:27017",
+    dbName: "questions",
+    stateDocId: "sync",
+    listBaseUrl: "https://example.com/api/list",
+    detailBaseUrl: "https://example.com/api/detail",
+    ...overrides
+});
+
+describe("config validation", () => {
+    it("accepts a complete config", () => {
+        assert.deepEqual(findConfigProblems(validConfig(), ["mongo", "source"]), []);
+    });
+
+    it("reports missing fields, bad ranges and bad URLs together", () => {
+        const problems = findConfigProblems(
+            validConfig({ stateDocId: "", listLimit: 0, detailBaseUrl: "not a url", delayMode: "fast" }),
+            ["mongo", "source"]
+        );
+        assert.deepEqual(problems.sort(), [
+            "delayMode: must be one of immediate, delayed",
+            "detailBaseUrl: not a valid URL",
+            "listLimit: must be >= 1",
+            "stateDocId: is required"
+        ]);
+    });
+
+    it("reports env values that are not numbers instead of using the default silently", () => {
+        process.env.PARSE_TEST_LIMIT = "abc";
+        try {
+            assert.equal(envInt("PARSE_TEST_LIMIT", 200), 200);
+            assert.ok(findConfigProblems(validConfig()).includes('PARSE_TEST_LIMIT: "abc" is not a number'));
+        } finally {
+            delete process.env.PARSE_TEST_LIMIT;
+            envInt("PARSE_TEST_LIMIT", 200);
+        }
+        assert.deepEqual(findConfigProblems(validConfig()), []);
+    });
+
+    it("derives no S3 URL from a malformed endpoint and reports the endpoint", () => {
+        const values = deriveConfig(
+            { storageBackend: "s3", s3Bucket: "b", s3Endpoint: "not a url" },
+            { listNarrow: "", s3BaseUrl: "", s3Enabled: undefined, storageBaseUrl: "" }
+        );
+        assert.equal(values.s3BaseUrl, "");
+        assert.deepEqual(findConfigProblems(validConfig(values)), ["s3Endpoint: not a valid URL"]);
+    });
+
+    it("only requires what the command declares", () => {
+        const withoutSource = validConfig({ listBaseUrl: "", detailBaseUrl: "" });
+        assert.deepEqual(findConfigProblems(withoutSource, ["mongo"]), []);
+        assert.equal(findConfigProblems(withoutSource, ["mongo", "source"]).length, 2);
+    });
+});
+
+describe("derived config", () => {
+    const noExplicit = { listNarrow: "", s3BaseUrl: "", s3Enabled: undefined, storageBaseUrl: "" };
+
+    it("recomputes storage settings from their inputs", () => {
+        const filesystem = deriveConfig({ storageBackend: "filesystem", storageDir: "/tmp/x" }, noExplicit);
+        assert.equal(filesystem.storageEnabled, true);
+        const s3 = deriveConfig(
+            { storageBackend: "s3", s3Bucket: "b", s3Region: "us-east-1", s3AccessKeyId: "a", s3SecretAccessKey: "s" },
+            noExplicit
+        );
+        assert.equal(s3.s3BaseUrl, "https://b.s3.us-east-1.amazonaws.com");
+        assert.equal(s3.storageBaseUrl, s3.s3BaseUrl);
+        assert.equal(s3.storageEnabled, true);
+    });
+
+    it("folds the problem type into the narrow filter and keeps pinned values", () => {
+        const values = deriveConfig(
+            { storageBackend: "s3", listProblemType: "PBT" },
+            { ...noExplicit, listNarrow: "level|easy||", storageEnabled: false }
+        );
+        assert.equal(values.listNarrow, "level|easy||problem_type|PBT||");
+        assert.equal(values.storageEnabled, false);
+    });
+});
+
+describe("config profiles", () => {
+    const touched = ["CONFIG_FILE", "CONFIG_PROFILE", "PROFILE_TEST_A", "PROFILE_TEST_B"];
+    afterEach(() => {
+        for (const key of touched) delete process.env[key];
+    });
+
+    const writeFile = (name, contents) => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "question-sync-config-")), name);
+        fs.writeFileSync(file, contents);
+        return file;
+    };
+
+    it("layers the profile over defaults without overriding real env vars", () => {
+        process.env.CONFIG_FILE = writeFile(
+            "profiles.yaml",
+            ["defaults:", "  PROFILE_TEST_A: one", "  PROFILE_TEST_B: two", "profiles:", "  mcq:", "    PROFILE_TEST_B: [x, y]"].join("\n")
+        );
+        process.env.CONFIG_PROFILE = "mcq";
+        process.env.PROFILE_TEST_A = "from-env";
+
+        const loaded = loadProfile();
+
+        assert.equal(process.env.PROFILE_TEST_A, "from-env");
+        assert.equal(process.env.PROFILE_TEST_B, "x,y");
+        assert.deepEqual(loaded.keys, ["PROFILE_TEST_B"]);
+    });
+
+    it("rejects unknown profiles and non env-var keys", () => {
+        process.env.CONFIG_FILE = writeFile("profiles.json", JSON.stringify({ profiles: { a: { listLimit: 1 } } }));
+        process.env.CONFIG_PROFILE = "b";
+        assert.throws(() => loadProfile(), /Unknown config profile "b"/);
+        process.env.CONFIG_PROFILE = "a";
+        assert.throws(() => loadProfile(), /environment variable names/);
+    });
+});
@@ -0,0 +1,139 @@
+const http = require("http");
+const crypto = require("crypto");
+
+const escapeXml = (value) =>
+    String(value).replace(/[<>&'"]/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const readBody = (req) =>
+    new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on("data", (chunk) => chunks.push(chunk));
+        req.on("end", () => resolve(Buffer.concat(chunks)));
+        req.on("error", reject);
+    });
+
+// The SDK streams uploads with aws-chunked encoding; strip the chunk framing back to the payload.
+const decodeAwsChunked = (body) => {
+    const parts = [];
+    let index = 0;
+    while (index < body.length) {
+        const lineEnd = body.indexOf("\r\n", index);
+        if (lineEnd === -1) break;
+        const size = Number.parseInt(body.subarray(index, lineEnd).toString().split(";")[0], 16);
+        if (!size) break;
+        parts.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+        index = lineEnd + 2 + size + 2;
+    }
+    return Buffer.concat(parts);
+};
+
+// Path-style, unauthenticated subset of S3: PUT/HEAD/GET/DELETE object and ListObjectsV2.
+const createFakeS3 = ({ bucket = "test-bucket" } = {}) => {
+    const objects = new Map();
+    let server = null;
+    let endpoint = null;
+
+    const listObjects = (res, params) => {
+        const prefix = params.get("prefix") || "";
+        const contents = [...objects.entries()]
+            .filter(([key]) => key.startsWith(prefix))
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(
+                ([key, object]) =>
+                    `<Contents><Key>${escapeXml(key)}</Key><Size>${object.body.length}</Size>` +
+                    `<ETag>${escapeXml(object.etag)}</ETag><LastModified>${object.lastModified.toISOString()}</LastModified></Contents>`
+            )
+            .join("");
+        res.writeHead(200, { "Content-Type": "application/xml" });
+        res.end(
+            `<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${bucket}</Name>` +
+            `<Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${objects.size}</KeyCount>` +
+            `<IsTruncated>false</IsTruncated>${contents}</ListBucketResult>`
+        );
+    };
+
+    const notFound = (res, method) => {
+        res.writeHead(404, { "Content-Type": "application/xml" });
+        res.end(method === "HEAD" ? undefined : "<Error><Code>NoSuchKey</Code></Error>");
+    };
+
+    const handle = async (req, res) => {
+        const url = new URL(req.url, endpoint);
+        const [, bucketName, ...keyParts] = url.pathname.split("/");
+        const key = decodeURIComponent(keyParts.join("/"));
+        if (bucketName !== bucket) return notFound(res, req.method);
+        if (!key && req.method === "GET") return listObjects(res, url.searchParams);
+
+        if (req.method === "PUT") {
+            const raw = await readBody(req);
+            const chunked = String(req.headers["content-encoding"] || "").includes("aws-chunked");
+            const body = chunked ? decodeAwsChunked(raw) : raw;
+            const metadata = Object.fromEntries(
+                Object.entries(req.headers)
+                    .filter(([name]) => name.startsWith("x-amz-meta-"))
+                    .map(([name, value]) => [name.slice("x-amz-meta-".length), value])
+            );
+            const etag = `"${crypto.createHash("md5").update(body).digest("hex")}"`;
+            objects.set(key, {
+                body,
+                etag,
+                contentType: req.headers["content-type"] || "application/octet-stream",
+                metadata,
+                lastModified: new Date()
+            });
+            res.writeHead(200, { ETag: etag });
+            return res.end();
+        }
+
+        const object = objects.get(key);
+        if (req.method === "DELETE") {
+            objects.delete(key);
+            res.writeHead(204);
+            return res.end();
+        }
+        if (!object) return notFound(res, req.method);
+        res.writeHead(200, {
+            "Content-Type": object.contentType,
+            "Content-Length": object.body.length,
+            ETag: object.etag,
+            "Last-Modified": object.lastModified.toUTCString(),
+            ...Object.fromEntries(
+                Object.entries(object.metadata).map(([name, value]) => [`x-amz-meta-${name}`, value])
+            )
+        });
+        return res.end(req.method === "HEAD" ? undefined : object.body);
+    };
+
+    const start = () =>
+        new Promise((resolve) => {
+            server = http.createServer((req, res) => {
+                handle(req, res).catch((error) => {
+                    res.writeHead(500);
+                    res.end(error.message);
+                });
+            });
+            server.listen(0, "127.0.0.1", () => {
+                endpoint = `http://127.0.0.1:${server.address().port}`;
+                resolve(endpoint);
+            });
+        });
+
+    const stop = () =>
+        new Promise((resolve) => {
+            if (!server) return resolve();
+            server.close(() => resolve());
+            server.closeAllConnections();
+        });
+
+    return {
+        bucket,
+        objects,
+        start,
+        stop,
+        get endpoint() {
+            return endpoint;
+        }
+    };
+};
+
+module.exports = { createFakeS3 };
@@ -0,0 +1,181 @@
+const http = require("http");
+const { toListItem, buildDetailPayload, assetBytes } = require("./fixtures");
+
+const LIST_PATH = "/api/list";
+const DETAIL_PATH = "/api/detail";
+const ASSET_PATH = "/assets";
+
+// narrow is "key|value||key|value||"; range filters use "from,to".
+const parseNarrow = (narrow) =>
+    (narrow || "")
+        .split("||")
+        .filter(Boolean)
+        .map((part) => part.split("|"))
+        .filter(([key, value]) => key && value !== undefined);
+
+const matchesNarrow = (question, filters) =>
+    filters.every(([key, value]) => {
+        if (key === "modified_range") {
+            const [from, to] = value.split(",").map((date) => new Date(date).getTime());
+            const modified = new Date(question.modified).getTime();
+            return modified >= from && modified < to;
+        }
+        const field = key === "problem_type" ? question.problemType : question[key];
+        return field === value;
+    });
+
+const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+};
+
+// An in-process stand-in for the list/detail API and the asset host.
+const createFakeUpstream = ({ maxResultWindow = 10000 } = {}) => {
+    const questions = new Map();
+    const deleted = new Set();
+    const faults = [];
+    const requests = [];
+    let server = null;
+    let baseUrl = null;
+
+    const setQuestions = (list) => {
+        questions.clear();
+        for (const question of list) questions.set(question.slug, { ...question, assetBaseUrl: baseUrl });
+    };
+
+    const removeQuestion = (slug, { detailGone = false } = {}) => {
+        questions.delete(slug);
+        if (detailGone) deleted.add(slug);
+    };
+
+    // Fails the next `times` requests matching `match` with `status` (and optional headers/body).
+    const addFault = ({ match, status, times = 1, headers = {}, body = { detail: "fault" } }) => {
+        faults.push({ match, status, times, headers, body });
+    };
+
+    const takeFault = (request) => {
+        const fault = faults.find((item) => item.times > 0 && item.match(request));
+        if (!fault) return null;
+        fault.times -= 1;
+        return fault;
+    };
+
+    const handleList = (res, params) => {
+        const offset = Number(params.get("offset") || 0);
+        const limit = Number(params.get("limit") || 20);
+        const query = params.get("q") || "";
+        if (offset + limit > maxResultWindow) {
+            sendJson(res, 200, {
+                objects: [
+                    {
+                        objects: [],
+                        meta: {
+                            error: `Result window is too large, from + size must be less than or equal to: [${maxResultWindow}] (index.max_result_window)`
+                        }
+                    }
+                ]
+            });
+            return;
+        }
+        const filters = parseNarrow(params.get("narrow"));
+        const matching = [...questions.values()]
+            .filter((question) => question.queries.includes(query))
+            .filter((question) => matchesNarrow(question, filters))
+            .sort((a, b) => new Date(b.modified) - new Date(a.modified));
+        const page = matching.slice(offset, offset + limit);
+        sendJson(res, 200, {
+            objects: [
+                {
+                    objects: page.map(toListItem),
+                    meta: {
+                        offset,
+                        limit,
+                        total_count: matching.length,
+                        page_number: Math.floor(offset / limit) + 1
+                    }
+                }
+            ]
+        });
+    };
+
+    const handleDetail = (res, slug) => {
+        const question = questions.get(slug);
+        if (!question || deleted.has(slug)) {
+            sendJson(res, 404, { detail: "Not found." });
+            return;
+        }
+        sendJson(res, 200, buildDetailPayload(question));
+    };
+
+    const handleAsset = (req, res, name) => {
+        const body = assetBytes(name);
+        res.writeHead(200, {
+            "Content-Type": name.endsWith(".zip") ? "application/zip" : "image/png",
+            "Content-Length": body.length,
+            ETag: `"${name.length}-${body.length}"`,
+            "Last-Modified": "Mon, 01 Jan 2024 00:00:00 GMT"
+        });
+        res.end(req.method === "HEAD" ? undefined : body);
+    };
+
+    const handle = (req, res) => {
+        const url = new URL(req.url, baseUrl);
+        const request = { method: req.method, path: url.pathname, params: url.searchParams };
+        requests.push(request);
+        const fault = takeFault(request);
+        if (fault) {
+            sendJson(res, fault.status, fault.body, fault.headers);
+            return;
+        }
+        if (url.pathname === LIST_PATH) {
+            handleList(res, url.searchParams);
+        } else if (url.pathname.startsWith(`${DETAIL_PATH}/`)) {
+            handleDetail(res, decodeURIComponent(url.pathname.slice(DETAIL_PATH.length + 1)));
+        } else if (url.pathname.startsWith(`${ASSET_PATH}/`)) {
+            handleAsset(req, res, url.pathname.split("/").pop());
+        } else {
+            sendJson(res, 404, { detail: "Unknown path." });
+        }
+    };
+
+    const start = () =>
+        new Promise((resolve) => {
+            server = http.createServer(handle);
+            server.listen(0, "127.0.0.1", () => {
+                baseUrl = `http://127.0.0.1:${server.address().port}`;
+                resolve(baseUrl);
+            });
+        });
+
+    const stop = () =>
+        new Promise((resolve) => {
+            if (!server) return resolve();
+            server.close(() => resolve());
+            server.closeAllConnections();
+        });
+
+    const listRequests = () => requests.filter((request) => request.path === LIST_PATH);
+    const detailRequests = () => requests.filter((request) => request.path.startsWith(DETAIL_PATH));
+
+    return {
+        start,
+        stop,
+        setQuestions,
+        removeQuestion,
+        addFault,
+        requests,
+        listRequests,
+        detailRequests,
+        get baseUrl() {
+            return baseUrl;
+        },
+        get listUrl() {
+            return `${baseUrl}${LIST_PATH}`;
+        },
+        get detailUrl() {
+            return `${baseUrl}${DETAIL_PATH}`;
+        }
+    };
+};
+
+module.exports = { createFakeUpstream };
@@ -0,0 +1,76 @@
+// Minimal but valid-looking payloads for each problem_type the sync handles differently.
+const PNG_BYTES = Buffer.from([
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d, 0x49, 0x48, 0x44, 0x52
+]);
+const ZIP_BYTES = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00, 0x00, 0x00, 0x08, 0x00]);
+
+const buildQuestion = ({
+    slug,
+    problemType = "MCQ",
+    level = "easy",
+    category = "frontend",
+    modified = "2024-01-01T00:00:00Z",
+    queries = [""],
+    assetBaseUrl = null
+}) => ({
+    slug,
+    problemType,
+    level,
+    category,
+    modified,
+    queries,
+    assetBaseUrl
+});
+
+const toListItem = (question) => ({
+    slug: question.slug,
+    problem_id: `id-${question.slug}`,
+    category: question.category,
+    status: "published",
+    level: question.level,
+    modified: question.modified,
+    problem_type: question.problemType
+});
+
+const buildDetailPayload = (question) => {
+    const asset = (name) => `${question.assetBaseUrl}/assets/${question.slug}/${name}`;
+    const payload = {
+        id: `id-${question.slug}`,
+        slug: question.slug,
+        title: `Question ${question.slug}`,
+        problem_type: question.problemType,
+        category: question.category,
+        status: "published",
+        level: question.level,
+        modified: question.modified,
+        tags: ["fixture"],
+        description: question.assetBaseUrl
+            ? `<p>Look at <img src="${asset("diagram.png")}"></p>\n![inline](${asset("inline.png")})`
+            : "<p>No assets.</p>",
+        editorial: "",
+        stubs: { javascript: "function solve() {}" },
+        sample_solutions: { javascript: "function solve() { return 1; }" },
+        extra_data: {}
+    };
+    if (["PBT", "PBD", "PFE", "PFS"].includes(question.problemType)) {
+        payload.extra_data.project_based_problem_data = {
+            problem_stub_s3_location: {
+                s3_http_url: question.assetBaseUrl ? asset("stub.zip") : null,
+                object_key: `${question.slug}/stub.zip`
+            },
+            problem_solution_s3_location: {
+                s3_http_url: question.assetBaseUrl ? asset("solution.zip") : null,
+                object_key: `${question.slug}/solution.zip`
+            }
+        };
+    }
+    if (question.problemType === "UIX") {
+        payload.stubs = { vanillajs: question.assetBaseUrl ? asset("stub.zip") : null };
+        payload.sample_solutions = { vanillajs: question.assetBaseUrl ? asset("solution.zip") : null };
+    }
+    return payload;
+};
+
+const assetBytes = (name) => (name.endsWith(".zip") ? ZIP_BYTES : PNG_BYTES);
+
+module.exports = { PNG_BYTES, ZIP_BYTES, buildQuestion, toListItem, buildDetailPayload, assetBytes };
@@ -0,0 +1,104 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const config = require("../../src/config");
+const db = require("../../src/db");
+const { acquireLock } = require("../../src/lock");
+const { createFakeUpstream } = require("./fakeUpstream");
+const { createFakeS3 } = require("./fakeS3");
+
+const BASE_CONFIG = {
+    listQuery: "",
+    listQueryList: [],
+    listNarrow: "",
+    listLimit: 2,
+    listMaxResultWindow: 10000,
+    listPartitionEnabled: true,
+    listPartitionFacets: ["level"],
+    listPartitionLevels: [],
+    listPartitionModifiedKey: "",
+    detailEnv: "",
+    detailUser: "",
+    delayMode: "immediate",
+    detailConcurrency: 1,
+    requestsPerSecond: 0,
+    maxRetries: 3,
+    retryDelaySec: 0,
+    rateLimitDelaySec: 0,
+    retryAfterMaxSec: 1,
+    circuitBreakerEnabled: false,
+    skipExistingDetails: false,
+    detailOnlyIfMissing: false,
+    incrementalSync: false,
+    forceResume: false,
+    assetSyncEnabled: true,
+    assetDownloadEnabled: true,
+    assetOverwrite: false,
+    assetUrlStrict: false,
+    assetHeadCheckEnabled: false,
+    assetTypeCheckEnabled: true,
+    statusServerEnabled: false,
+    logLevel: "error",
+    logFile: ""
+};
+
+// Starts Mongo, the fake API and the fake S3 once per test file; each test then gets a fresh database.
+const createHarness = () => {
+    const upstream = createFakeUpstream();
+    const s3 = createFakeS3();
+    let mongo = null;
+    let tempDir = null;
+
+    const setup = async () => {
+        mongo = await MongoMemoryServer.create();
+        await upstream.start();
+        await s3.start();
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "question-sync-test-"));
+    };
+
+    // Points config at the stand-ins and takes the run lock; `overrides` wins over the defaults.
+    const reset = async (overrides = {}) => {
+        await db.close();
+        upstream.requests.length = 0;
+        s3.objects.clear();
+        const suffix = crypto.randomBytes(4).toString("hex");
+        Object.assign(config, BASE_CONFIG, {
+            mongoUri: mongo.getUri(),
+            dbName: `sync_test_${suffix}`,
+            stateDocId: `state_${suffix}`,
+            listBaseUrl: upstream.listUrl,
+            detailBaseUrl: upstream.detailUrl,
+            assetDownloadDir: path.join(tempDir, suffix),
+            assetKeyPrefix: "Questions_Assets",
+            storageBackend: "s3",
+            storageEnabled: true,
+            s3Enabled: true,
+            s3Bucket: s3.bucket,
+            s3Region: "us-east-1",
+            s3Endpoint: s3.endpoint,
+            s3ForcePathStyle: true,
+            s3AccessKeyId: "test",
+            s3SecretAccessKey: "test",
+            s3BaseUrl: `${s3.endpoint}/${s3.bucket}`,
+            storageBaseUrl: `${s3.endpoint}/${s3.bucket}`,
+            ...overrides
+        });
+        // runSync only writes state while it holds the lease, as the sync command does.
+        await acquireLock();
+        return db.getCollections();
+    };
+
+    const teardown = async () => {
+        await db.close();
+        await upstream.stop();
+        await s3.stop();
+        if (mongo) await mongo.stop();
+        if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+    };
+
+    return { upstream, s3, setup, reset, teardown };
+};
+
+module.exports = { createHarness };
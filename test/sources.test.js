@@ -0,0 +1,52 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../src/config");
+const { createJsonDirSource } = require("../src/sources/jsonDir");
+const { identifyItems } = require("../src/sources");
+
+const writeQuestion = (dir, name, detail) => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), JSON.stringify(detail));
+};
+
+describe("json-dir source", () => {
+    let dir;
+    let source;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "question-sync-source-"));
+        writeQuestion(dir, "a.json", { slug: "a", level: "easy", modified: "2024-01-01T00:00:00Z", title: "Arrays" });
+        writeQuestion(dir, "nested/b.json", { slug: "b", level: "hard", modified: "2024-03-01T00:00:00Z", title: "Graphs" });
+        writeQuestion(dir, "c.json", { slug: "c", level: "easy", modified: "2024-02-01T00:00:00Z", title: "CSS grid" });
+        writeQuestion(dir, "no-id.json", { title: "Ignored" });
+        Object.assign(config, { sourceDir: dir, listLimit: 2, listOrderBy: "-modified", listQuery: "", listNarrow: "" });
+        source = createJsonDirSource();
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it("pages through files newest first", async () => {
+        const first = source.getListPayload(await source.fetchListPage(0));
+        const second = source.getListPayload(await source.fetchListPage(2));
+        assert.deepEqual(identifyItems(source, first.items).map((item) => item.slug), ["b", "c"]);
+        assert.deepEqual(second.items.map((item) => item.slug), ["a"]);
+        assert.equal(first.meta.total_count, 3);
+        assert.equal(source.getListError(first.meta), null);
+    });
+
+    it("applies the query and narrow filters", async () => {
+        const { items } = source.getListPayload(await source.fetchListPage(0, "", "level|easy||"));
+        assert.deepEqual(items.map((item) => item.slug), ["c", "a"]);
+        const searched = source.getListPayload(await source.fetchListPage(0, "graph"));
+        assert.deepEqual(searched.items.map((item) => item.slug), ["b"]);
+    });
+
+    it("reads details and reports missing ones as gone", async () => {
+        assert.equal((await source.fetchDetail("b")).title, "Graphs");
+        const error = await source.fetchDetail("zzz").catch((caught) => caught);
+        assert.ok(source.isGone(error));
+    });
+});
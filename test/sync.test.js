@@ -0,0 +1,213 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHarness } = require("./helpers/harness");
+const { buildQuestion } = require("./helpers/fixtures");
+const { runSync } = require("../src/sync");
+const { planSync } = require("../src/plan");
+const config = require("../src/config");
+
+const harness = createHarness();
+const { upstream, s3 } = harness;
+
+const listOffsets = () => upstream.listRequests().map((request) => Number(request.params.get("offset")));
+
+const slugsIn = async (collection, filter = {}) =>
+    (await collection.find(filter, { projection: { slug: 1 } }).toArray()).map((doc) => doc.slug).sort();
+
+describe("runSync against the fake upstream", () => {
+    before(() => harness.setup());
+    after(() => harness.teardown());
+
+    let collections;
+    beforeEach(async () => {
+        collections = await harness.reset();
+    });
+
+    it("syncs every problem type and mirrors assets to S3", async () => {
+        upstream.setQuestions([
+            buildQuestion({ slug: "mcq-1", problemType: "MCQ", modified: "2024-03-01T00:00:00Z" }),
+            buildQuestion({ slug: "pbt-1", problemType: "PBT", modified: "2024-02-01T00:00:00Z" }),
+            buildQuestion({ slug: "uix-1", problemType: "UIX", modified: "2024-01-01T00:00:00Z" })
+        ]);
+
+        const result = await runSync();
+
+        assert.equal(result.status, "completed");
+        assert.deepEqual(await slugsIn(collections.listCollection), ["mcq-1", "pbt-1", "uix-1"]);
+        assert.deepEqual(await slugsIn(collections.detailCollection), ["mcq-1", "pbt-1", "uix-1"]);
+
+        const keys = [...s3.objects.keys()];
+        assert.ok(keys.some((key) => key.includes("stub.zip")), `no stub uploaded: ${keys}`);
+        assert.ok(keys.some((key) => key.includes("diagram.png")), `no image uploaded: ${keys}`);
+
+        const pbt = await collections.detailCollection.findOne({ slug: "pbt-1" });
+        const stubUrl = pbt.raw.extra_data.project_based_problem_data.problem_stub_s3_location.s3_http_url;
+        assert.ok(stubUrl.startsWith(s3.endpoint), `stub URL not rewritten: ${stubUrl}`);
+
+        const mcq = await collections.detailCollection.findOne({ slug: "mcq-1" });
+        assert.ok(!mcq.raw.description.includes(upstream.baseUrl), "description still points upstream");
+        assert.ok(mcq.raw.description.includes(s3.endpoint));
+    });
+
+    it("resumes after a failed list page without refetching completed pages", async () => {
+        upstream.setQuestions(
+            ["a", "b", "c", "d", "e"].map((slug, index) =>
+                buildQuestion({ slug, modified: `2024-01-0${9 - index}T00:00:00Z` })
+            )
+        );
+        upstream.addFault({
+            match: (request) => request.path === "/api/list" && request.params.get("offset") === "2",
+            status: 400
+        });
+
+        await assert.rejects(runSync());
+        assert.deepEqual(await slugsIn(collections.listCollection), ["a", "b"]);
+        const firstRunDetails = upstream.detailRequests().length;
+
+        upstream.requests.length = 0;
+        const result = await runSync();
+
+        assert.equal(result.status, "completed");
+        assert.ok(!listOffsets().includes(0), `page 0 refetched: ${listOffsets()}`);
+        assert.equal(upstream.detailRequests().length + firstRunDetails, 5);
+        assert.deepEqual(await slugsIn(collections.detailCollection), ["a", "b", "c", "d", "e"]);
+    });
+
+    it("retries a 429 after its Retry-After delay", async () => {
+        upstream.setQuestions([buildQuestion({ slug: "only" })]);
+        upstream.addFault({
+            match: (request) => request.path.startsWith("/api/detail/"),
+            status: 429,
+            headers: { "Retry-After": "0" }
+        });
+
+        const result = await runSync();
+
+        assert.equal(result.status, "completed");
+        assert.equal(upstream.detailRequests().length, 2);
+        assert.equal(await collections.detailCollection.countDocuments({ slug: "only" }), 1);
+    });
+
+    it("pauses with auth_required when the session is rejected", async () => {
+        upstream.setQuestions([buildQuestion({ slug: "first" }), buildQuestion({ slug: "second" })]);
+        upstream.addFault({
+            match: (request) => request.path.startsWith("/api/detail/"),
+            status: 401,
+            times: 10
+        });
+
+        await assert.rejects(runSync(), (error) => error.code === "AUTH_REQUIRED");
+
+        const state = await collections.stateCollection.findOne({});
+        assert.equal(state.status, "paused");
+        assert.equal(state.pausedReason, "auth_required");
+        assert.equal(await collections.detailCollection.countDocuments(), 0);
+        assert.equal(await collections.errorCollection.countDocuments(), 0);
+    });
+
+    it("tags list items with every query that returned them", async () => {
+        collections = await harness.reset({ listQueryList: ["react", "css"], skipExistingDetails: true });
+        upstream.setQuestions([
+            buildQuestion({ slug: "both", queries: ["react", "css"] }),
+            buildQuestion({ slug: "react-only", queries: ["react"] }),
+            buildQuestion({ slug: "css-only", queries: ["css"] })
+        ]);
+
+        const result = await runSync();
+
+        assert.equal(result.status, "completed");
+        const both = await collections.listCollection.findOne({ slug: "both" });
+        assert.deepEqual([...both.queries].sort(), ["css", "react"]);
+        assert.deepEqual(await slugsIn(collections.listCollection, { queries: "css" }), ["both", "css-only"]);
+        assert.equal(upstream.detailRequests().length, 3);
+    });
+
+    it("partitions a query that outgrows the max result window", async () => {
+        collections = await harness.reset({
+            listMaxResultWindow: 4,
+            listPartitionLevels: ["easy", "medium", "hard"]
+        });
+        const questions = [];
+        for (const level of ["easy", "medium", "hard"]) {
+            for (const n of [1, 2]) questions.push(buildQuestion({ slug: `${level}-${n}`, level }));
+        }
+        upstream.setQuestions(questions);
+
+        const result = await runSync();
+
+        assert.equal(result.status, "completed");
+        assert.equal(await collections.listCollection.countDocuments(), 6);
+        const state = await collections.stateCollection.findOne({});
+        const root = state.multiQuery.perQuery[""];
+        assert.equal(root.status, "completed");
+        assert.equal(root.partitions.length, 3);
+        assert.equal(root.coverage.complete, true);
+    });
+
+    it("plans a sync without writing to Mongo or S3", async () => {
+        upstream.setQuestions([buildQuestion({ slug: "same" }), buildQuestion({ slug: "edited" })]);
+        await runSync();
+        const before = {
+            list: await collections.listCollection.find().toArray(),
+            state: await collections.stateCollection.findOne({}),
+            assets: await collections.assetCollection.countDocuments(),
+            objects: s3.objects.size
+        };
+
+        upstream.setQuestions([
+            buildQuestion({ slug: "same" }),
+            buildQuestion({ slug: "edited", modified: "2024-06-01T00:00:00Z" }),
+            buildQuestion({ slug: "added", problemType: "PBT" })
+        ]);
+        const entries = [];
+        const summary = await planSync({ onItem: (entry) => entries.push(entry) });
+
+        const bySlug = Object.fromEntries(entries.map((entry) => [entry.slug, entry]));
+        assert.equal(bySlug.same.list, "unchanged");
+        assert.equal(bySlug.edited.list, "changed");
+        assert.equal(bySlug.added.list, "new");
+        assert.ok(bySlug.added.assets.mirror.some((asset) => asset.url.endsWith("stub.zip")));
+        assert.ok(bySlug.same.assets.reuse.length > 0);
+        assert.equal(summary.new, 1);
+
+        assert.deepEqual(await collections.listCollection.find().toArray(), before.list);
+        assert.deepEqual(await collections.stateCollection.findOne({}), before.state);
+        assert.equal(await collections.assetCollection.countDocuments(), before.assets);
+        assert.equal(await collections.detailCollection.countDocuments({ slug: "added" }), 0);
+        assert.equal(s3.objects.size, before.objects);
+    });
+
+    it("tombstones questions a later complete pass no longer lists", async () => {
+        upstream.setQuestions([buildQuestion({ slug: "keep" }), buildQuestion({ slug: "gone" })]);
+        await runSync();
+
+        upstream.removeQuestion("gone");
+        config.forceResume = true;
+        const result = await runSync();
+
+        assert.equal(result.status, "completed");
+        const gone = await collections.listCollection.findOne({ slug: "gone" });
+        assert.equal(gone.upstreamStatus, "missing");
+        const keep = await collections.listCollection.findOne({ slug: "keep" });
+        assert.equal(keep.upstreamStatus ?? "active", "active");
+    });
+
+    it("only tombstones a multi-query question once no query lists it", async () => {
+        collections = await harness.reset({ listQueryList: ["react", "css"] });
+        upstream.setQuestions([
+            buildQuestion({ slug: "both", queries: ["react", "css"] }),
+            buildQuestion({ slug: "css-only", queries: ["css"] })
+        ]);
+        await runSync();
+
+        // css stops returning both of them; react still lists "both".
+        upstream.setQuestions([buildQuestion({ slug: "both", queries: ["react"] })]);
+        config.forceResume = true;
+        const result = await runSync();
+
+        assert.equal(result.status, "completed");
+        assert.deepEqual(await slugsIn(collections.listCollection, { upstreamStatus: "missing" }), ["css-only"]);
+        const both = await collections.listCollection.findOne({ slug: "both" });
+        assert.equal(both.upstreamStatus ?? "active", "active");
+    });
+});